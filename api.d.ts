@@ -0,0 +1,64 @@
+// Contract of the object returned by `activate`, for other extensions:
+//
+//   const ext = vscode.extensions.getExtension<ProxyUrlSwitcherApi>('tony.proxy-url-switcher');
+//   const api = await ext.activate();
+//   await api.applyProfile('SIT-PG', { targets: ['rest'] });
+import type { Event, Uri } from 'vscode';
+
+export interface ProxyProfile {
+  name: string;
+  /** Normalized origin, e.g. `http://10.8.1.80:7002` */
+  origin: string;
+  /** `default` for profiles without a group, null for custom addresses */
+  group: string | null;
+  /** `team`: team profile file, `user`: `proxyUrlSwitcher.profiles`, `custom`: custom addresses */
+  source: 'team' | 'user' | 'custom';
+}
+
+export interface ActiveOrigin {
+  /** The origin most checked targets point at, null when nothing is loaded */
+  origin: string | null;
+  /** Profile or custom address name of `origin`, '' when it matches none */
+  profileName: string;
+  /** True when the checked targets point at more than one origin */
+  mixed: boolean;
+  origins: string[];
+}
+
+export interface ApplyOptions {
+  /**
+   * Targets to switch instead of the checked ones: top-level keys (`rest` covers every
+   * target under it), tree labels or JSON pointers. Unknown names reject the call.
+   */
+  targets?: string[];
+  /** Files to write; defaults to the files chosen by `proxyUrlSwitcher.multiFileMode` */
+  files?: Uri[];
+  /** Force (true) or skip (false) the diff preview; the preview settings decide when omitted */
+  preview?: boolean;
+}
+
+export interface ApplyResult {
+  origin: string;
+  /** Pointers of the targets that changed, per written file */
+  files: { uri: Uri; changed: string[] }[];
+}
+
+export interface SwitchEvent {
+  /** The text shown in the apply notification */
+  label: string;
+  /** One step per origin; scenarios switch several origins at once */
+  steps: { origin: string; profileName: string }[];
+  files: { uri: Uri; changed: string[] }[];
+}
+
+export interface ProxyUrlSwitcherApi {
+  readonly version: 1;
+  /** Fires after every switch, whether it came from the view, a command, a link or this API */
+  readonly onDidSwitch: Event<SwitchEvent>;
+  getProfiles(): ProxyProfile[];
+  getActiveOrigin(): Promise<ActiveOrigin>;
+  /** Resolves to null when the switch was cancelled or no file could be applied */
+  applyOrigin(origin: string, options?: ApplyOptions): Promise<ApplyResult | null>;
+  /** Rejects when no profile or custom address has this name */
+  applyProfile(name: string, options?: ApplyOptions): Promise<ApplyResult | null>;
+}
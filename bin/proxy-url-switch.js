@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { run } = require('../cli');
+
+process.exitCode = run(process.argv.slice(2));
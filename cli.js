@@ -0,0 +1,319 @@
+// Command line entry point: the same switching core as the extension, for scripts and other editors
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('./core');
+
+const CONFIG_SECTION = 'proxyUrlSwitcher';
+const DEFAULT_FILE_GLOB = '**/{proxy-url-list.json,proxy-url-list-new.json}';
+const DEFAULT_TEAM_PROFILES_FILE = '.vscode/proxy-profiles.json';
+const EXCLUDED_DIRS = new Set(['node_modules', 'dist', 'build', 'out', '.git']);
+const MAX_TARGET_FILES = 50;
+
+const BUNDLE_DIR = path.join(__dirname, 'l10n');
+
+class CliError extends Error {}
+
+// Messages use the extension's l10n bundles, keyed by the English text
+let t = (message, ...args) => core.formatMessage(message, args);
+
+// LC_ALL over LC_MESSAGES over LANG, as gettext does; only Chinese has a bundle so far
+function detectLocale(env) {
+  const value = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+  return /^zh/i.test(value) ? 'zh-cn' : 'en';
+}
+
+function createTranslator(locale) {
+  let bundle = {};
+  if (locale && locale !== 'en') {
+    try {
+      bundle = JSON.parse(fs.readFileSync(path.join(BUNDLE_DIR, `bundle.l10n.${locale.toLowerCase()}.json`), 'utf8'));
+    } catch {
+      // No bundle for this locale, English it is
+    }
+  }
+  return (message, ...args) => core.formatMessage(bundle[message] ?? message, args);
+}
+
+function getUsage() {
+  return [
+    t('Usage: proxy-url-switch <command> [options]'),
+    '',
+    t('Commands:'),
+    `  list                 ${t('List the available environments (team profile file + profiles in the settings)')}`,
+    `  status               ${t('Show the address and environment each target points at')}`,
+    `  diff                 ${t('Preview the changes apply would make, without writing files')}`,
+    `  apply                ${t('Switch the targets to an environment')}`,
+    '',
+    t('Options:'),
+    `  --profile <name>     ${t('Environment name (apply / diff)')}`,
+    `  --origin <address>   ${t('An address instead of --profile, e.g. 10.8.1.80:7002')}`,
+    `  --targets <a,b>      ${t('Only switch these targets (top-level keys, labels or JSON pointers), all by default')}`,
+    `  --file <path>        ${t('Proxy file, repeatable; found in the workspace by fileGlob by default')}`,
+    `  --cwd <dir>          ${t('Workspace directory, the current directory by default')}`,
+    `  --settings <path>    ${t('VS Code user settings file, the system Code user settings by default')}`,
+    `  --json               ${t('JSON output for list / status')}`,
+    `  -h, --help           ${t('Show this help')}`
+  ].join('\n');
+}
+
+function parseArgs(argv) {
+  const options = { files: [] };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      const next = argv[++i];
+      if (next === undefined || next.startsWith('--')) throw new CliError(t('{0} needs a value', arg));
+      return next;
+    };
+    if (arg === '-h' || arg === '--help') options.help = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--profile') options.profile = value();
+    else if (arg === '--origin') options.origin = value();
+    else if (arg === '--targets') options.targets = value().split(',').map(t => t.trim()).filter(Boolean);
+    else if (arg === '--file') options.files.push(value());
+    else if (arg === '--cwd') options.cwd = value();
+    else if (arg === '--settings') options.settings = value();
+    else if (arg.startsWith('-')) throw new CliError(t('Unknown option: {0}', arg));
+    else positional.push(arg);
+  }
+  return { command: positional[0], options };
+}
+
+function getDefaultUserSettingsPath() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'Code', 'User', 'settings.json');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', 'Code', 'User', 'settings.json');
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'Code', 'User', 'settings.json');
+}
+
+// Missing files read as empty settings; broken ones are errors
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+  return core.parseJsonText(text, file);
+}
+
+// Package defaults stand in for settings nobody has set, as they do in VS Code
+function getPackageDefault(key) {
+  const manifest = require('./package.json');
+  return manifest.contributes.configuration.properties[`${CONFIG_SECTION}.${key}`]?.default;
+}
+
+/**
+ * Resolves a `proxyUrlSwitcher.*` setting the way VS Code does for a single-folder
+ * workspace: `.vscode/settings.json` over user settings over the package default.
+ */
+function createSettings(cwd, userSettingsPath) {
+  const workspace = readJsonFile(path.join(cwd, '.vscode', 'settings.json')) || {};
+  const user = readJsonFile(userSettingsPath || getDefaultUserSettingsPath()) || {};
+  return {
+    get(key) {
+      const name = `${CONFIG_SECTION}.${key}`;
+      if (workspace[name] !== undefined) return workspace[name];
+      if (user[name] !== undefined) return user[name];
+      return getPackageDefault(key);
+    }
+  };
+}
+
+function loadProfiles(cwd, settings) {
+  const teamFile = path.join(cwd, settings.get('teamProfilesFile') || DEFAULT_TEAM_PROFILES_FILE);
+  const team = core.extractTeamProfiles(readJsonFile(teamFile));
+  const user = settings.get('profiles');
+  return core.mergeProfiles(team, Array.isArray(user) ? user.filter(p => p && p.name) : []);
+}
+
+function findTargetFiles(cwd, settings) {
+  const pattern = core.globToRegExp(settings.get('fileGlob') || DEFAULT_FILE_GLOB);
+  const found = [];
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        if (found.length >= MAX_TARGET_FILES) return;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!EXCLUDED_DIRS.has(entry.name)) walk(full);
+        } else if (pattern.test(path.relative(cwd, full).split(path.sep).join('/'))) {
+          found.push(full);
+        }
+      });
+  };
+  walk(cwd);
+  return found;
+}
+
+function resolveFiles(cwd, settings, options) {
+  const files = options.files.length
+    ? options.files.map(f => path.resolve(cwd, f))
+    : findTargetFiles(cwd, settings);
+  if (!files.length) throw new CliError(t('No files found: {0}', settings.get('fileGlob') || DEFAULT_FILE_GLOB));
+  return files;
+}
+
+// Files are named relative to the workspace, like the extension names them
+function toLabel(cwd, file) {
+  return path.relative(cwd, file).split(path.sep).join('/');
+}
+
+function resolveTarget(profiles, options) {
+  if (options.profile) {
+    const profile = profiles.find(p => p.name === options.profile);
+    if (!profile) throw new CliError(t('Environment not found: {0} (see list)', options.profile));
+    const origin = core.normalizeOrigin(profile.origin);
+    if (!origin || !core.hasExplicitPort(origin)) {
+      throw new CliError(t('The address of "{0}" is invalid or has no port: {1}', profile.name, profile.origin));
+    }
+    return { origin, profileName: profile.name };
+  }
+  if (options.origin) {
+    const origin = core.normalizeOrigin(options.origin);
+    if (!origin) throw new CliError(t('Invalid address'));
+    if (!core.hasExplicitPort(origin)) throw new CliError(t('Port is required, e.g. 10.8.150.33:7002'));
+    return { origin, profileName: '' };
+  }
+  throw new CliError(t('Specify --profile or --origin'));
+}
+
+function findProfileName(profiles, value) {
+  const origin = core.normalizeOrigin(value);
+  return profiles.find(p => core.normalizeOrigin(p.origin) === origin)?.name || '';
+}
+
+function listCommand(profiles, options, io) {
+  if (options.json) {
+    io.stdout(JSON.stringify(profiles, null, 2));
+    return 0;
+  }
+  if (!profiles.length) {
+    io.stdout(t('No environments configured'));
+    return 0;
+  }
+  profiles.forEach(p => {
+    const scope = p.scope === 'team' ? ` · ${t('Team')}` : '';
+    io.stdout(`${p.name}\t${core.normalizeOrigin(p.origin) || p.origin}\t${p.group || ''}${scope}`);
+  });
+  return 0;
+}
+
+function statusCommand(cwd, files, profiles, options, io) {
+  const report = files.map(file => {
+    const label = toLabel(cwd, file);
+    const map = core.parseProxyText(fs.readFileSync(file, 'utf8'), label);
+    return {
+      file: label,
+      targets: core.collectUrlTargets(map).map(t => ({
+        target: t.pointer,
+        value: t.value,
+        profile: findProfileName(profiles, t.value)
+      }))
+    };
+  });
+  if (options.json) {
+    io.stdout(JSON.stringify(report, null, 2));
+    return 0;
+  }
+  report.forEach(({ file, targets }) => {
+    io.stdout(file);
+    targets.forEach(t => {
+      io.stdout(`  ${core.formatTargetLabel(t.target)}\t${t.value}${t.profile ? `\t[${t.profile}]` : ''}`);
+    });
+  });
+  return 0;
+}
+
+// Value rewrites keep the line structure, so lines are compared position by position
+function formatDiff(label, before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const out = [`--- a/${label}`, `+++ b/${label}`];
+  if (a.length !== b.length) {
+    out.push(`@@ -1,${a.length} +1,${b.length} @@`, ...a.map(l => `-${l}`), ...b.map(l => `+${l}`));
+    return out;
+  }
+  a.forEach((line, i) => {
+    if (line === b[i]) return;
+    out.push(`@@ -${i + 1} +${i + 1} @@`, `-${line}`, `+${b[i]}`);
+  });
+  return out;
+}
+
+function applyCommand(cwd, files, profiles, options, io, write) {
+  const { origin, profileName } = resolveTarget(profiles, options);
+  const rules = core.compileRewriteRules(profiles, profileName, io.stderr);
+  const label = profileName || origin;
+  const texts = files.map(file => fs.readFileSync(file, 'utf8'));
+  // A name matching no file is a typo, nothing is written then
+  if (options.targets) {
+    const maps = texts.map((text, i) => core.parseProxyText(text, toLabel(cwd, files[i])));
+    const missing = options.targets.filter(name => !maps.some(map => core.matchTargets(map, [name]).length));
+    if (missing.length) throw new CliError(t('Targets not found: {0}', missing.join(t(', '))));
+  }
+  let total = 0;
+  files.forEach((file, i) => {
+    const fileLabel = toLabel(cwd, file);
+    const text = texts[i];
+    const targets = options.targets ? core.matchTargets(core.parseProxyText(text, fileLabel), options.targets) : undefined;
+    const result = core.applyPlanToText(text, fileLabel, [{ origin, targets, rules }]);
+    total += result.changed.length;
+    if (!write) {
+      if (result.text !== text) formatDiff(fileLabel, text, result.text).forEach(line => io.stdout(line));
+      return;
+    }
+    if (result.text !== text) fs.writeFileSync(file, result.text, 'utf8');
+    const summary = result.changed.length ? t(', {0} updated', result.changed.length) : t(', no changes');
+    io.stdout(t('Applied {0} to {1}', label, fileLabel) + summary);
+  });
+  if (!write && !total) io.stdout(t('No changes'));
+  return 0;
+}
+
+/**
+ * Runs one CLI invocation and returns the exit code. `io` defaults to the process
+ * streams and the locale of the environment; tests pass their own `{ cwd, stdout, stderr, locale }`.
+ */
+function run(argv, io = {}) {
+  const out = {
+    cwd: io.cwd || process.cwd(),
+    stdout: io.stdout || (line => process.stdout.write(`${line}\n`)),
+    stderr: io.stderr || (line => process.stderr.write(`${line}\n`))
+  };
+  t = createTranslator(io.locale || detectLocale(process.env));
+  core.setLocalize(t);
+  try {
+    const { command, options } = parseArgs(argv);
+    if (options.help || !command) {
+      out.stdout(getUsage());
+      return command || options.help ? 0 : 1;
+    }
+    const cwd = path.resolve(out.cwd, options.cwd || '.');
+    const settings = createSettings(cwd, options.settings);
+    const profiles = loadProfiles(cwd, settings);
+    switch (command) {
+      case 'list':
+        return listCommand(profiles, options, out);
+      case 'status':
+        return statusCommand(cwd, resolveFiles(cwd, settings, options), profiles, options, out);
+      case 'diff':
+        return applyCommand(cwd, resolveFiles(cwd, settings, options), profiles, options, out, false);
+      case 'apply':
+        return applyCommand(cwd, resolveFiles(cwd, settings, options), profiles, options, out, true);
+      default:
+        throw new CliError(t('Unknown command: {0}', command));
+    }
+  } catch (e) {
+    out.stderr(e instanceof CliError ? e.message : e.message || String(e));
+    return 1;
+  }
+}
+
+module.exports = { run, parseArgs };
@@ -0,0 +1,767 @@
+// Switching logic shared by the extension and the CLI; nothing in here may depend on `vscode`
+const jsonc = require('jsonc-parser');
+const YAML = require('yaml');
+
+// `{0}`-style placeholders, as in vscode.l10n.t
+function formatMessage(message, args) {
+  return message.replace(/\{(\d+)\}/g, (match, index) => (index < args.length ? String(args[index]) : match));
+}
+
+// English messages are the keys; the extension and the CLI plug in their translations
+let localize = (message, ...args) => formatMessage(message, args);
+
+function setLocalize(fn) {
+  localize = fn;
+}
+
+function normalizeOrigin(input) {
+  if (!input) return null;
+  const raw = String(input).trim();
+  if (!raw) return null;
+
+  if (/^https?:\/\//i.test(raw)) {
+    try {
+      return new URL(raw).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  const withScheme = `http://${raw}`;
+  try {
+    return new URL(withScheme).origin;
+  } catch {
+    return null;
+  }
+}
+
+function hasExplicitPort(origin) {
+  try {
+    const u = new URL(origin);
+    return Boolean(u.port);
+  } catch {
+    return false;
+  }
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth) {
+      source += '|';
+    } else if (ch === '*' && glob[i + 1] === '*') {
+      // `**/` also matches zero directories
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// JSON pointers (RFC 6901) identify targets, e.g. `/rest` or `/~1api/target`
+function toPointer(segments) {
+  return segments.map(s => '/' + String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+function parsePointer(pointer) {
+  if (!pointer) return [];
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Selections saved before nested targets existed hold bare top-level keys
+function toTargetPointer(key) {
+  const value = String(key);
+  return value.startsWith('/') ? value : toPointer([value]);
+}
+
+/**
+ * Every pointer a configured target key can mean. A key starting with `/` is read as a
+ * pointer, but may just as well be a top-level key such as `/api` in a Vite or webpack
+ * proxy config, whose pointer is `/~1api`.
+ */
+function toTargetPointers(key) {
+  const value = String(key);
+  return value.startsWith('/') ? [value, toPointer([value])] : [toPointer([value])];
+}
+
+function formatTargetLabel(pointer) {
+  return parsePointer(pointer).join(' › ');
+}
+
+// Strings meant as an address that `isUrlValue` rejects are reported instead of silently skipped
+function looksLikeUrl(value) {
+  if (typeof value !== 'string') return false;
+  return /^\s*(?:https?(?::|\/)|\/\/|(?:\d{1,3}\.){3}\d{1,3}\b|[\w-]+(?:\.[\w-]+)*:\d+(?:\/|$))/i.test(value);
+}
+
+function isUrlValue(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Walks objects and arrays and returns every URL-bearing string leaf,
+ * so `{ "/api": { "target": "http://..." } }` yields the `/~1api/target` target.
+ */
+function collectUrlTargets(value, path = []) {
+  if (isUrlValue(value)) return [{ pointer: toPointer(path), path, value }];
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => collectUrlTargets(item, [...path, index]));
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).flatMap(([key, item]) => collectUrlTargets(item, [...path, key]));
+  }
+  return [];
+}
+
+/**
+ * Resolves target names as typed by people to the pointers of `map`: `rest` and `/rest` match
+ * every target under the top-level `rest` key, tree labels match exactly.
+ */
+function matchTargets(map, names) {
+  return collectUrlTargets(map)
+    .map(t => t.pointer)
+    .filter(pointer => names.some(name =>
+      pointer === name ||
+      toTargetPointers(name).some(p => pointer === p || pointer.startsWith(`${p}/`)) ||
+      formatTargetLabel(pointer) === name ||
+      parsePointer(pointer)[0] === name));
+}
+
+function getAtPath(value, path) {
+  return path.reduce((current, segment) => (current == null ? undefined : current[segment]), value);
+}
+
+function setAtPath(value, path, next) {
+  const parent = getAtPath(value, path.slice(0, -1));
+  parent[path[path.length - 1]] = next;
+}
+
+// Paths whose values differ; arrays are compared element-wise only when their length matches
+function diffPaths(before, after, path = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+    return keys.flatMap(key => diffPaths(before[key], after[key], [...path, key]));
+  }
+  if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+    return before.flatMap((item, index) => diffPaths(item, after[index], [...path, index]));
+  }
+  return JSON.stringify(before) === JSON.stringify(after) ? [] : [path];
+}
+
+// Comments and trailing commas are accepted (JSONC)
+function parseJsonText(text, file = '') {
+  const errors = [];
+  const data = jsonc.parse(text, errors, { allowTrailingComma: true, disallowComments: false });
+  if (errors.length || data === undefined) {
+    throw new Error(localize('Failed to parse {0}: {1}', 'JSON', file));
+  }
+  return data;
+}
+
+function detectFormatting(text) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const indent = /\n([ \t]+)\S/.exec(text);
+  if (indent && indent[1][0] === '\t') {
+    return { insertSpaces: false, tabSize: 4, eol };
+  }
+  return { insertSpaces: true, tabSize: indent ? indent[1].length : 2, eol };
+}
+
+/**
+ * Returns `text` with the values that differ from `data` replaced, down to nested leaves.
+ * Unchanged values, comments, key order, indentation and line endings are kept as they are.
+ */
+function updateJsonText(text, data, file) {
+  const current = parseJsonText(text, file);
+  const formattingOptions = detectFormatting(text);
+  return diffPaths(current, data).reduce((working, path) => {
+    const edits = jsonc.modify(working, path, getAtPath(data, path), { formattingOptions });
+    return jsonc.applyEdits(working, edits);
+  }, text);
+}
+
+function getBaseName(file) {
+  return String(file || '').split(/[\\/]/).pop() || '';
+}
+
+function setDeep(target, path, value) {
+  let current = target;
+  path.slice(0, -1).forEach(segment => {
+    if (!isPlainObject(current[segment])) current[segment] = {};
+    current = current[segment];
+  });
+  current[path[path.length - 1]] = value;
+}
+
+/**
+ * Builds a format handler for files whose string values are located by offset.
+ * `scan(text)` returns `{ path, value, start, end }` entries, start/end delimiting
+ * the raw value; `encode(entry, value)` renders the replacement for that span.
+ */
+function createSpanFormat({ id, label, test, scan, encode = (entry, value) => value }) {
+  const scanEntries = (text, file) => {
+    let entries;
+    try {
+      entries = scan(text);
+    } catch {
+      throw new Error(localize('Failed to parse {0}: {1}', label, file));
+    }
+    const seen = new Map();
+    return entries.map(entry => {
+      const pointer = toPointer(entry.path);
+      const count = (seen.get(pointer) || 0) + 1;
+      seen.set(pointer, count);
+      if (count === 1) return entry;
+      // Same path twice (e.g. both branches of a ternary): keep them apart
+      const last = entry.path[entry.path.length - 1];
+      return { ...entry, path: [...entry.path.slice(0, -1), `${last}#${count}`] };
+    });
+  };
+
+  return {
+    id,
+    label,
+    test,
+    parse(text, file) {
+      const data = {};
+      scanEntries(text, file).forEach(entry => setDeep(data, entry.path, entry.value));
+      return data;
+    },
+    // Raw entries, duplicates included, for editor features
+    locate(text) {
+      return scan(text).map(entry => ({ pointer: toPointer(entry.path), value: entry.value, start: entry.start, end: entry.end }));
+    },
+    update(text, data, file) {
+      return scanEntries(text, file)
+        .filter(entry => {
+          const next = getAtPath(data, entry.path);
+          return typeof next === 'string' && next !== entry.value;
+        })
+        .sort((a, b) => b.start - a.start)
+        .reduce(
+          (working, entry) =>
+            working.slice(0, entry.start) + encode(entry, getAtPath(data, entry.path)) + working.slice(entry.end),
+          text
+        );
+    }
+  };
+}
+
+// KEY=value lines, optionally prefixed by `export` and quoted
+function scanEnvStrings(text) {
+  const entries = [];
+  const re = /^[ \t]*(?:export[ \t]+)?([A-Za-z_][\w.-]*)[ \t]*=[ \t]*(.*)$/gm;
+  let match;
+  while ((match = re.exec(text))) {
+    const [line, key, rest] = match;
+    const restStart = match.index + line.length - rest.length;
+    const quote = rest[0];
+    let start;
+    let end;
+    if (quote === '"' || quote === "'" || quote === '`') {
+      const close = rest.indexOf(quote, 1);
+      if (close === -1) continue;
+      start = restStart + 1;
+      end = restStart + close;
+    } else {
+      const comment = rest.search(/\s#/);
+      const raw = (comment === -1 ? rest : rest.slice(0, comment)).replace(/\s+$/, '');
+      start = restStart;
+      end = restStart + raw.length;
+    }
+    entries.push({ path: [key], value: text.slice(start, end), start, end });
+  }
+  return entries;
+}
+
+function scanYamlStrings(text) {
+  const doc = YAML.parseDocument(text);
+  if (doc.errors.length) throw doc.errors[0];
+  const entries = [];
+  const walk = (node, path) => {
+    if (YAML.isMap(node)) {
+      node.items.forEach(pair => {
+        if (YAML.isScalar(pair.key)) walk(pair.value, [...path, String(pair.key.value)]);
+      });
+    } else if (YAML.isSeq(node)) {
+      node.items.forEach((item, index) => walk(item, [...path, index]));
+    } else if (
+      YAML.isScalar(node) &&
+      typeof node.value === 'string' &&
+      node.range &&
+      ['PLAIN', 'QUOTE_DOUBLE', 'QUOTE_SINGLE'].includes(node.type)
+    ) {
+      entries.push({ path, value: node.value, start: node.range[0], end: node.range[1], type: node.type });
+    }
+  };
+  walk(doc.contents, []);
+  return entries.filter(entry => entry.path.length);
+}
+
+function encodeYamlString(entry, value) {
+  if (entry.type === 'QUOTE_DOUBLE') return JSON.stringify(value);
+  if (entry.type === 'QUOTE_SINGLE') return `'${value.replace(/'/g, "''")}'`;
+  return value;
+}
+
+function skipScriptTrivia(text, from) {
+  let i = from;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+// Index of the closing quote; template literals skip over `${...}` expressions
+function findScriptStringEnd(text, from, quote) {
+  let i = from + 1;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === quote) {
+      return i;
+    } else if (quote === '`' && text.startsWith('${', i)) {
+      let depth = 1;
+      i += 2;
+      while (i < text.length && depth) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}') depth--;
+        i++;
+      }
+    } else if (ch === '\n' && quote !== '`') {
+      return i;
+    } else {
+      i++;
+    }
+  }
+  return text.length;
+}
+
+function findScriptRegExpEnd(text, from) {
+  let i = from + 1;
+  let inClass = false;
+  while (i < text.length && text[i] !== '\n') {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '/') {
+      break;
+    }
+    i++;
+  }
+  i++;
+  while (i < text.length && /[a-z]/i.test(text[i])) i++;
+  return i;
+}
+
+/**
+ * Finds URL string literals in JS/TS sources and names them by the object-literal
+ * keys around them, so `server: { proxy: { '/api': { target: '...' } } }` gives
+ * the target `/server/proxy/~1api/target`. A top-level `const name = '...'` is keyed by `name`.
+ */
+function scanScriptStrings(text) {
+  const entries = [];
+  const frames = [{ type: 'root', key: null, index: 0 }];
+  const regExpAfter = ['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '=>', 'return', 'typeof', 'case'];
+  const statementStarts = ['const', 'let', 'var', 'export', 'import', 'return'];
+  // The top level and function or statement blocks hold statements, their keys come from assignments
+  const holdsStatements = frame => frame.type === 'root' || frame.type === 'block';
+  let prev = '';
+  let i = 0;
+
+  // Without semicolons a line break after a complete expression ends a top-level statement
+  const endsStatement = (from, to) => {
+    if (!text.slice(from, to).includes('\n') || /^[.?([`+\-*/%&|=,:]/.test(text[to] || '')) return false;
+    if (prev === 'string' || prev === 'regexp' || [')', ']', '}'].includes(prev)) return true;
+    return /^[\w$]+$/.test(prev) && !regExpAfter.includes(prev) && !statementStarts.includes(prev);
+  };
+
+  const currentPath = () => {
+    const path = [];
+    for (const frame of frames) {
+      if (frame.type === '[') {
+        path.push(frame.index);
+      } else if (frame.type === '{') {
+        if (frame.key === null) return null;
+        path.push(frame.key);
+      } else if (holdsStatements(frame) && frame.key !== null) {
+        path.push(frame.key);
+      }
+    }
+    return path;
+  };
+
+  while (i < text.length) {
+    const next = skipScriptTrivia(text, i);
+    if (next !== i) {
+      const frame = frames[frames.length - 1];
+      if (holdsStatements(frame) && endsStatement(i, next)) frame.key = null;
+      i = next;
+      continue;
+    }
+    const ch = text[i];
+    const frame = frames[frames.length - 1];
+
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const end = findScriptStringEnd(text, i, ch);
+      const raw = text.slice(i + 1, end);
+      const after = skipScriptTrivia(text, end + 1);
+      // Only a key when no key is pending, otherwise it is e.g. a ternary branch
+      if (frame.type === '{' && frame.key === null && ch !== '`' && text[after] === ':') {
+        frame.key = raw;
+        prev = ':';
+        i = after + 1;
+        continue;
+      }
+      const path = !raw.includes('\\') && !raw.includes('${') && isUrlValue(raw) ? currentPath() : null;
+      if (path && path.length) entries.push({ path, value: raw, start: i + 1, end });
+      prev = 'string';
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '/' && regExpAfter.includes(prev)) {
+      i = findScriptRegExpEnd(text, i);
+      prev = 'regexp';
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(text.slice(i, i + 256));
+    if (word) {
+      const after = skipScriptTrivia(text, i + word[0].length);
+      if (holdsStatements(frame) && statementStarts.includes(word[0])) frame.key = null;
+      if (frame.type === '{' && frame.key === null && text[after] === ':') {
+        frame.key = word[0];
+        prev = ':';
+        i = after + 1;
+        continue;
+      }
+      if (holdsStatements(frame) && text[after] === '=' && !['=', '>'].includes(text[after + 1])) {
+        frame.key = word[0];
+        prev = '=';
+        i = after + 1;
+        continue;
+      }
+      prev = word[0];
+      i += word[0].length;
+      continue;
+    }
+
+    if (ch === '=' && text[i + 1] === '>') {
+      prev = '=>';
+      i += 2;
+      continue;
+    }
+    if (ch === '{' && (prev === '=>' || prev === ')')) {
+      // Arrow and function bodies, `if (…) {` and the like are blocks, not object literals
+      frames.push({ type: 'block', key: null, index: 0 });
+    } else if (ch === '{' || ch === '[' || ch === '(') {
+      frames.push({ type: ch, key: null, index: 0 });
+    } else if ((ch === '}' || ch === ']' || ch === ')') && frames.length > 1) {
+      frames.pop();
+    } else if (ch === ',') {
+      if (frame.type === '{') frame.key = null;
+      if (frame.type === '[') frame.index++;
+    } else if (ch === ';' && holdsStatements(frame)) {
+      frame.key = null;
+    }
+    prev = ch;
+    i++;
+  }
+  return entries;
+}
+
+// Every string value with the offsets of its contents (quotes excluded); keys are skipped
+function locateJsonStrings(text) {
+  const entries = [];
+  const visit = node => {
+    if (!node) return;
+    const isKey = node.parent?.type === 'property' && node.parent.children[0] === node;
+    if (node.type === 'string' && !isKey) {
+      entries.push({
+        pointer: toPointer(jsonc.getNodePath(node)),
+        value: node.value,
+        start: node.offset + 1,
+        end: node.offset + node.length - 1
+      });
+    }
+    (node.children || []).forEach(visit);
+  };
+  visit(jsonc.parseTree(text, [], { allowTrailingComma: true }));
+  return entries;
+}
+
+const jsonFormat = {
+  id: 'json',
+  label: 'JSON',
+  test: () => true,
+  parse: parseJsonText,
+  locate: locateJsonStrings,
+  update: updateJsonText
+};
+
+// Checked in order, the JSON handler is the fallback for anything unmatched
+const FORMAT_HANDLERS = [
+  createSpanFormat({
+    id: 'env',
+    label: '.env',
+    test: file => /^\.env(\..+)?$|\.env$/i.test(getBaseName(file)),
+    scan: scanEnvStrings
+  }),
+  createSpanFormat({
+    id: 'yaml',
+    label: 'YAML',
+    test: file => /\.ya?ml$/i.test(getBaseName(file)),
+    scan: scanYamlStrings,
+    encode: encodeYamlString
+  }),
+  createSpanFormat({
+    id: 'script',
+    label: 'JS/TS',
+    test: file => /\.[cm]?[jt]sx?$/i.test(getBaseName(file)),
+    scan: scanScriptStrings
+  }),
+  jsonFormat
+];
+
+// Picked by file name, so `file` can be any path or label ending in the name
+function getFormatHandler(file) {
+  return FORMAT_HANDLERS.find(h => h.test(file)) || jsonFormat;
+}
+
+function locateProxyStrings(text, file) {
+  return getFormatHandler(file).locate(text);
+}
+
+function parseProxyText(text, file) {
+  return getFormatHandler(file).parse(text, file);
+}
+
+function updateProxyText(text, data, file) {
+  return getFormatHandler(file).update(text, data, file);
+}
+
+// `/sit/` and `sit` both become `/sit`; empty and `/` mean no prefix
+function normalizeBasePath(value) {
+  if (typeof value !== 'string') return '';
+  const trimmed = value.trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Runs after the origin swap: strip known prefixes, add the base path, per-target override, then regexes.
+ * `from` is the origin the URL pointed at before the swap; a profile's base path is only stripped
+ * from URLs that pointed at that profile. `targetPath` is given for requests forwarded by the local
+ * proxy: it is the target's path in the file, and the per-target override then replaces only that
+ * prefix of the request path.
+ */
+function rewriteUrl(url, pointer, rules, { from, targetPath } = {}) {
+  let path = url.pathname;
+  const override = rules.paths[pointer];
+  const base = targetPath === undefined ? null : normalizeBasePath(targetPath);
+  if (override !== undefined && base === null) {
+    path = override;
+  } else if (override !== undefined && (path === base || path.startsWith(`${base}/`))) {
+    path = `${normalizeBasePath(override)}${path.slice(base.length)}` || '/';
+  } else {
+    const strip = rules.stripPrefixes.find(({ prefix, origin }) =>
+      (!origin || origin === from) && (path === prefix || path.startsWith(`${prefix}/`)));
+    if (strip) path = path.slice(strip.prefix.length) || '/';
+    if (rules.basePath) path = `${rules.basePath}${path === '/' ? '' : path}`;
+  }
+  url.pathname = path;
+  return rules.replace.reduce(
+    (value, { regex, replacement }) => value.replace(regex, replacement),
+    url.toString().replace(/\/$/, '')
+  );
+}
+
+/**
+ * Compiles the `rewrite` rules of the profile (or custom origin) being applied:
+ * `{ basePath, stripPrefix, paths: { target: path }, replace: [{ pattern, replacement, flags }] }`.
+ * The base path of every origin is stripped from URLs currently pointing at that origin, so
+ * switching from a gateway profile back to a plain one drops the gateway prefix; `stripPrefix`
+ * entries apply to any URL. Returns null when there is nothing to do.
+ * Invalid regular expressions are skipped and reported through `onWarning`.
+ */
+function compileRewriteRules(origins, profileName, onWarning = () => {}) {
+  const own = origins.find(o => o.name === profileName)?.rewrite;
+  const rewrite = isPlainObject(own) ? own : {};
+  const stripPrefixes = [
+    ...[].concat(rewrite.stripPrefix || []).map(prefix => ({ prefix: normalizeBasePath(prefix), origin: null })),
+    ...origins.map(o => ({ prefix: normalizeBasePath(o.rewrite?.basePath), origin: normalizeOrigin(o.origin) }))
+  ]
+    .filter(p => p.prefix)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  // Read as a pointer first, a literal `/…` key only fills in what no pointer claimed
+  const paths = {};
+  const pathEntries = isPlainObject(rewrite.paths) ? Object.entries(rewrite.paths) : [];
+  pathEntries.forEach(([key, path]) => { paths[toTargetPointer(key)] = String(path); });
+  pathEntries.forEach(([key, path]) => toTargetPointers(key).forEach(pointer => { paths[pointer] ??= String(path); }));
+  const replace = (Array.isArray(rewrite.replace) ? rewrite.replace : []).flatMap(rule => {
+    try {
+      return [{ regex: new RegExp(rule.pattern, rule.flags ?? 'g'), replacement: String(rule.replacement ?? '') }];
+    } catch (e) {
+      onWarning(localize('Invalid rewrite rule in "{0}", ignored: {1}', profileName, e.message));
+      return [];
+    }
+  });
+  const basePath = normalizeBasePath(rewrite.basePath);
+  if (!stripPrefixes.length && !basePath && !Object.keys(paths).length && !replace.length) return null;
+  return { stripPrefixes, basePath, paths, replace };
+}
+
+function applyOriginToMap(mapObj, origin, onlyKeys, rules) {
+  const out = JSON.parse(JSON.stringify(mapObj));
+  const changed = [];
+  const originUrl = new URL(origin);
+  const only = Array.isArray(onlyKeys) && onlyKeys.length ? new Set(onlyKeys.flatMap(toTargetPointers)) : null;
+  collectUrlTargets(out).forEach(({ pointer, path, value }) => {
+    if (only && !only.has(pointer)) return;
+    const next = new URL(value);
+    next.protocol = originUrl.protocol;
+    next.hostname = originUrl.hostname;
+    if (originUrl.port) next.port = originUrl.port;
+    const nextValue = rules
+      ? rewriteUrl(next, pointer, rules, { from: new URL(value).origin })
+      : next.toString().replace(/\/$/, '');
+    if (nextValue !== value) {
+      setAtPath(out, path, nextValue);
+      changed.push(pointer);
+    }
+  });
+  return { out, changed };
+}
+
+// The file holds either a profile array or `{ "profiles": [...] }`
+function extractTeamProfiles(data) {
+  const list = Array.isArray(data) ? data : data?.profiles;
+  return Array.isArray(list) ? list.filter(p => p && p.name && p.origin) : [];
+}
+
+/**
+ * Team profiles merged with the user's own. A team profile wins over a user profile
+ * with the same name, so a stale private copy never shadows the shared one.
+ * Every entry carries `scope: 'team' | 'user'`.
+ */
+function mergeProfiles(team, user) {
+  const scopedTeam = team.map(p => ({ ...p, scope: 'team' }));
+  const teamNames = new Set(scopedTeam.map(p => p.name));
+  const scopedUser = user
+    .filter(p => !teamNames.has(p.name))
+    .map(p => ({ ...p, scope: 'user' }));
+  return [...scopedTeam, ...scopedUser];
+}
+
+/**
+ * Runs `plan` (`[{ origin, targets, rules }]`, steps in order) over the text of a proxy file.
+ * `targets` limits a step to those target keys; an empty array skips the step.
+ * Returns the rewritten text with the changed pointers and the maps before and after.
+ */
+function applyPlanToText(text, file, plan) {
+  const before = parseProxyText(text, file);
+  let after = before;
+  const changed = new Set();
+  plan.forEach(step => {
+    if (Array.isArray(step.targets) && !step.targets.length) return;
+    const result = applyOriginToMap(after, step.origin, step.targets, step.rules);
+    after = result.out;
+    result.changed.forEach(pointer => changed.add(pointer));
+  });
+  return { text: updateProxyText(text, after, file), changed: Array.from(changed), before, after };
+}
+
+/**
+ * Quotes a value for `shell`, a shell path or name: PowerShell and cmd.exe get their own
+ * quoting, anything else is treated as a POSIX shell.
+ */
+function quoteShellArg(value, shell) {
+  const name = String(shell || '').split(/[\\/]/).pop().toLowerCase();
+  if (/^(pwsh|powershell)(\.exe)?$/.test(name)) return `'${String(value).replace(/'/g, "''")}'`;
+  if (/^cmd(\.exe)?$/.test(name)) return `"${String(value).replace(/"/g, '""')}"`;
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Replaces `${origin}`, `${profile}`, `${changedKeys}` and `${files}`, each value quoted for `shell`
+function expandHookCommand(command, vars, shell) {
+  return String(command || '').replace(/\$\{(origin|profile|changedKeys|files)\}/g, (match, name) => quoteShellArg(vars[name] ?? '', shell));
+}
+
+module.exports = {
+  formatMessage,
+  setLocalize,
+  normalizeOrigin,
+  hasExplicitPort,
+  globToRegExp,
+  toPointer,
+  parsePointer,
+  toTargetPointer,
+  toTargetPointers,
+  formatTargetLabel,
+  looksLikeUrl,
+  isUrlValue,
+  isPlainObject,
+  collectUrlTargets,
+  matchTargets,
+  getAtPath,
+  setAtPath,
+  diffPaths,
+  parseJsonText,
+  updateJsonText,
+  getFormatHandler,
+  locateProxyStrings,
+  parseProxyText,
+  updateProxyText,
+  normalizeBasePath,
+  compileRewriteRules,
+  rewriteUrl,
+  applyOriginToMap,
+  applyPlanToText,
+  extractTeamProfiles,
+  mergeProfiles,
+  quoteShellArg,
+  expandHookCommand
+};
@@ -1,146 +1,1669 @@
+const net = require('net');
+const path = require('path');
+const { exec, execFile } = require('child_process');
+const http = require('http');
+const https = require('https');
 const vscode = require('vscode');
+const core = require('./core');
+
+const {
+  normalizeOrigin,
+  hasExplicitPort,
+  globToRegExp,
+  toPointer,
+  parsePointer,
+  toTargetPointer,
+  toTargetPointers,
+  formatTargetLabel,
+  looksLikeUrl,
+  isUrlValue,
+  isPlainObject,
+  collectUrlTargets,
+  matchTargets,
+  getAtPath,
+  setAtPath,
+  diffPaths,
+  rewriteUrl,
+  applyOriginToMap,
+  extractTeamProfiles,
+  expandHookCommand
+} = core;
+
+// Core messages are looked up in this extension's bundles
+core.setLocalize((message, ...args) => vscode.l10n.t(message, ...args));
 
 const CONFIG_SECTION = 'proxyUrlSwitcher';
 const STATE_CUSTOM_ORIGINS = 'proxyUrlSwitcher.customOrigins';
 const STATE_SELECTED_TARGETS = 'proxyUrlSwitcher.selectedTargets';
 const STATE_CURRENT_ORIGIN = 'proxyUrlSwitcher.currentOrigin';
+const STATE_HISTORY = 'proxyUrlSwitcher.history';
+const STATE_EXCLUDED_FILES = 'proxyUrlSwitcher.excludedFiles';
+const STATE_PROFILE_ORDER = 'proxyUrlSwitcher.profileOrder';
+const STATE_COLLAPSED_GROUPS = 'proxyUrlSwitcher.collapsedGroups';
+const STATE_LOCAL_PROXY = 'proxyUrlSwitcher.localProxy';
+const STATE_AUTO_APPLIED = 'proxyUrlSwitcher.autoApplied';
+const STATE_RECENT_ORIGINS = 'proxyUrlSwitcher.recentOrigins';
+const STATE_FAVORITE_ORIGINS = 'proxyUrlSwitcher.favoriteOrigins';
+const DEFAULT_FILE_GLOB = '**/{proxy-url-list.json,proxy-url-list-new.json}';
+const FILE_EXCLUDE_GLOB = '**/{node_modules,dist,build,out,.git}/**';
+const MAX_TARGET_FILES = 50;
+const DEFAULT_TEAM_PROFILES_FILE = '.vscode/proxy-profiles.json';
+const DEFAULT_GROUP_COLORS = { dev: 'charts.green', SIT: 'charts.yellow', UAT: 'charts.red' };
+const DEFAULT_HISTORY_LIMIT = 30;
+const PREVIEW_SCHEME = 'proxy-url-switcher-preview';
+const DRAG_MIME = 'application/vnd.code.tree.proxyurlswitcher.view';
+const DEFAULT_LOCAL_PROXY_PORT = 17000;
+const LOCAL_PROXY_HOST = '127.0.0.1';
+// Id of the group for profiles without one; shown as "Standard" in the display language
+const DEFAULT_GROUP = 'default';
+// Default group name written by earlier versions, still read as the default group
+const LEGACY_DEFAULT_GROUP = '标准版';
+const DEFAULT_GROUP_ORDER = ['dev', 'SIT', 'UAT', DEFAULT_GROUP];
+const DEFAULT_HOOK_TIMEOUT = 60000;
+const MAX_RECENT_ORIGINS = 5;
+
+// Proposed file contents served to the diff editor, keyed by preview uri
+const previewContents = new Map();
+// On-disk text of each proxy file as last read for the view, keyed by uri
+const viewDiskTexts = new Map();
+// Profiles read from the team profile file of each workspace folder
+let teamProfiles = [];
+// Committed (HEAD) version of each loaded proxy file: { text, map }, null when untracked
+const baselines = new Map();
+// Known `git update-index --skip-worktree` state per proxy file
+const skipWorktreeFlags = new Map();
+// Running local reverse proxies by getLocalProxyKey:
+// { file, pointer, targetPath, server, port, upstream, profileName, rules, requests }
+const localProxies = new Map();
+let proxyOutput = null;
+// Fired after every successful apply, exposed to other extensions as `onDidSwitch`
+const switchEmitter = new vscode.EventEmitter();
+// Latest probe result per origin: { state: 'checking' | 'up' | 'down', latency, error, checkedAt }
+const healthStatus = new Map();
 
-function normalizeOrigin(input) {
-  if (!input) return null;
-  const raw = String(input).trim();
-  if (!raw) return null;
+function validateOriginInputRequirePort(input) {
+  const origin = normalizeOrigin(input);
+  if (!origin) return vscode.l10n.t('Invalid format');
+  if (!hasExplicitPort(origin)) return vscode.l10n.t('Port is required, e.g. 10.8.150.33:7002');
+  return null;
+}
+
+// Lists shown to people use the separator of the display language
+function joinList(items) {
+  return items.join(vscode.l10n.t(', '));
+}
+
+function groupBy(items, getKey) {
+  return items.reduce((acc, item) => {
+    const key = getKey(item) || '';
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(item);
+    return acc;
+  }, {});
+}
+
+function getFileGlob() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  return config.get('fileGlob') || DEFAULT_FILE_GLOB;
+}
+
+// Every matched file across all workspace folders, in a stable order
+async function findTargetFiles() {
+  const uris = await vscode.workspace.findFiles(getFileGlob(), FILE_EXCLUDE_GLOB, MAX_TARGET_FILES);
+  return uris.sort((a, b) => vscode.workspace.asRelativePath(a).localeCompare(vscode.workspace.asRelativePath(b)));
+}
+
+function getMultiFileMode() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const mode = config.get('multiFileMode');
+  return ['pick', 'checked', 'all'].includes(mode) ? mode : 'pick';
+}
+
+function isFileIncluded(context, uri) {
+  const excluded = context.workspaceState.get(STATE_EXCLUDED_FILES) || [];
+  return !excluded.includes(uri.toString());
+}
+
+async function setFileIncluded(context, uri, included) {
+  const key = uri.toString();
+  const excluded = (context.workspaceState.get(STATE_EXCLUDED_FILES) || []).filter(f => f !== key);
+  await context.workspaceState.update(STATE_EXCLUDED_FILES, included ? excluded : [...excluded, key]);
+}
+
+// Which files an apply writes to depends on `multiFileMode`
+async function pickTargetFiles(context) {
+  const uris = await findTargetFiles();
+  if (!uris.length) {
+    vscode.window.showErrorMessage(vscode.l10n.t('No files found: {0}', getFileGlob()));
+    return [];
+  }
+  if (uris.length === 1) return uris;
+
+  const mode = getMultiFileMode();
+  if (mode === 'all') return uris;
+  if (mode === 'checked') {
+    const checked = uris.filter(u => isFileIncluded(context, u));
+    if (!checked.length) vscode.window.showWarningMessage(vscode.l10n.t('No proxy file is checked'));
+    return checked;
+  }
+
+  const items = uris.map(u => ({ label: vscode.workspace.asRelativePath(u), uri: u }));
+  const picked = await vscode.window.showQuickPick(items, { placeHolder: vscode.l10n.t('Select the proxy file to update') });
+  return picked?.uri ? [picked.uri] : [];
+}
+
+// The core names files in its errors; here they are named relative to the workspace
+function getFileLabel(uri) {
+  return uri ? vscode.workspace.asRelativePath(uri) : '';
+}
+
+function parseJsonText(text, uri) {
+  return core.parseJsonText(text, getFileLabel(uri));
+}
+
+function updateJsonText(text, data, uri) {
+  return core.updateJsonText(text, data, getFileLabel(uri));
+}
+
+function getFormatHandler(uri) {
+  return core.getFormatHandler(getFileLabel(uri));
+}
+
+function locateProxyStrings(text, uri) {
+  return core.locateProxyStrings(text, getFileLabel(uri));
+}
+
+function parseProxyText(text, uri) {
+  return core.parseProxyText(text, getFileLabel(uri));
+}
+
+function updateProxyText(text, data, uri) {
+  return core.updateProxyText(text, data, getFileLabel(uri));
+}
+
+function findOpenDocument(uri) {
+  const key = uri.toString();
+  return vscode.workspace.textDocuments.find(d => d.uri.toString() === key) || null;
+}
+
+async function readDiskText(uri) {
+  const bytes = await vscode.workspace.fs.readFile(uri);
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Prefers the live editor buffer so unsaved edits are what gets read
+async function readProxyMap(uri) {
+  const document = findOpenDocument(uri);
+  const text = document ? document.getText() : await readDiskText(uri);
+  return parseProxyText(text, uri);
+}
+
+// Narrows a whole-text replacement down to the span that actually differs
+function getChangedSpan(before, after) {
+  let start = 0;
+  const max = Math.min(before.length, after.length);
+  while (start < max && before[start] === after[start]) start++;
+  let end = 0;
+  while (
+    end < max - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+  return {
+    start,
+    end: before.length - end,
+    text: after.slice(start, after.length - end)
+  };
+}
+
+// Goes through a WorkspaceEdit so the switch lands on the editor's undo stack
+async function replaceDocumentText(document, nextText, save = !document.isDirty) {
+  const before = document.getText();
+  if (before === nextText) {
+    if (save && document.isDirty) await document.save();
+    return false;
+  }
+  const span = getChangedSpan(before, nextText);
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(
+    document.uri,
+    new vscode.Range(document.positionAt(span.start), document.positionAt(span.end)),
+    span.text
+  );
+  if (!(await vscode.workspace.applyEdit(edit))) {
+    throw new Error(vscode.l10n.t('Failed to write {0}', vscode.workspace.asRelativePath(document.uri)));
+  }
+  if (save) {
+    await document.save();
+    // Our own write is not an external change
+    const key = document.uri.toString();
+    if (viewDiskTexts.has(key)) viewDiskTexts.set(key, document.getText());
+  }
+  return true;
+}
+
+/**
+ * Decides which text a write should be computed from, asking the user when the
+ * editor buffer has unsaved edits or the file changed on disk since the view read it.
+ * With `replace` the write discards the old text entirely, so there is nothing to merge:
+ * unsaved edits can only be overwritten. Returns null when the user cancels.
+ */
+async function resolveBaseText(document, { replace = false } = {}) {
+  const uri = document.uri;
+  const fileName = vscode.workspace.asRelativePath(uri);
+  const diskText = await readDiskText(uri);
+  const merge = vscode.l10n.t('Merge');
+  const overwrite = vscode.l10n.t('Overwrite');
+
+  if (replace) {
+    if (!document.isDirty) return { text: diskText, save: true };
+    const choice = await vscode.window.showWarningMessage(
+      vscode.l10n.t('{0} has unsaved changes', fileName),
+      { modal: true, detail: vscode.l10n.t('Overwrite: discard the unsaved changes') },
+      overwrite
+    );
+    return choice === overwrite ? { text: document.getText(), save: true } : null;
+  }
+
+  if (document.isDirty) {
+    const choice = await vscode.window.showWarningMessage(
+      vscode.l10n.t('{0} has unsaved changes', fileName),
+      {
+        modal: true,
+        detail: vscode.l10n.t('Merge: apply on top of the editor content and save it (keeps the unsaved changes)\nOverwrite: discard the unsaved changes and apply on the content on disk')
+      },
+      merge,
+      overwrite
+    );
+    if (choice === merge) return { text: document.getText(), save: true };
+    if (choice === overwrite) return { text: diskText, save: true };
+    return null;
+  }
+
+  const viewText = viewDiskTexts.get(uri.toString());
+  if (viewText !== undefined && viewText !== diskText) {
+    const choice = await vscode.window.showWarningMessage(
+      vscode.l10n.t('{0} was changed on disk after the view read it', fileName),
+      {
+        modal: true,
+        detail: vscode.l10n.t('Merge: apply on the latest content on disk\nOverwrite: apply on the content the view read (discards the external change)')
+      },
+      merge,
+      overwrite
+    );
+    if (choice === merge) return { text: diskText, save: true };
+    if (choice === overwrite) return { text: viewText, save: true };
+    return null;
+  }
+
+  return { text: document.getText(), save: true };
+}
+
+function matchesFilePattern(uri, patterns) {
+  if (!Array.isArray(patterns) || !patterns.length) return false;
+  const relative = vscode.workspace.asRelativePath(uri, false);
+  const baseName = relative.split('/').pop();
+  return patterns.some(p => {
+    if (typeof p !== 'string' || !p) return false;
+    const re = globToRegExp(p);
+    return re.test(relative) || re.test(baseName);
+  });
+}
+
+function findProfileGroup(origin, profileName) {
+  const profiles = getProfiles();
+  const profile =
+    (profileName && profiles.find(p => p?.name === profileName)) ||
+    profiles.find(p => normalizeOrigin(p?.origin) === origin);
+  return profile ? getProfileGroup(profile) : null;
+}
+
+function shouldPreview(uri, origin, profileName) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  if (config.get('previewBeforeApply')) return true;
+  if (matchesFilePattern(uri, config.get('previewFiles'))) return true;
+  const groups = config.get('previewGroups');
+  const group = findProfileGroup(origin, profileName);
+  return Boolean(group && Array.isArray(groups) && groups.map(normalizeGroup).includes(group));
+}
+
+async function closePreviewEditors(previewUri) {
+  const key = previewUri.toString();
+  const tabs = vscode.window.tabGroups.all
+    .flatMap(g => g.tabs)
+    .filter(t => t.input instanceof vscode.TabInputTextDiff && t.input.modified.toString() === key);
+  if (tabs.length) await vscode.window.tabGroups.close(tabs);
+}
+
+async function confirmWithDiff(uri, proposedText, label, changed) {
+  const fileName = vscode.workspace.asRelativePath(uri);
+  const previewUri = vscode.Uri.from({
+    scheme: PREVIEW_SCHEME,
+    path: uri.path,
+    query: `t=${Date.now()}`
+  });
+  previewContents.set(previewUri.toString(), proposedText);
+  try {
+    await vscode.commands.executeCommand('vscode.diff', uri, previewUri, vscode.l10n.t('{0} ↔ {1} (Preview)', fileName, label), {
+      preview: true
+    });
+    const apply = vscode.l10n.t('Apply');
+    const choice = await vscode.window.showInformationMessage(
+      vscode.l10n.t('Apply {0} to {1}? {2} item(s) will be updated: {3}', label, fileName, changed.length, joinList(changed)),
+      apply,
+      vscode.l10n.t('Cancel')
+    );
+    return choice === apply;
+  } finally {
+    await closePreviewEditors(previewUri);
+    previewContents.delete(previewUri.toString());
+  }
+}
+
+function getRewriteRules(context, profileName) {
+  return core.compileRewriteRules(getAllOrigins(context), profileName, message => vscode.window.showWarningMessage(message));
+}
+
+function getHistory(context) {
+  const history = context.workspaceState.get(STATE_HISTORY) || [];
+  return Array.isArray(history) ? history : [];
+}
 
-  if (/^https?:\/\//i.test(raw)) {
+function getHistoryLimit() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const limit = Number(config.get('historyLimit'));
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+async function setHistory(context, history) {
+  await context.workspaceState.update(STATE_HISTORY, history.slice(0, getHistoryLimit()));
+}
+
+// Snapshot holds the map as it was *before* the write, newest first
+function createSnapshotId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// `switchId` ties together the snapshots of the files one switch wrote, so undo restores them all
+async function recordSnapshot(context, { uri, map, origin, profileName, changed, switchId }) {
+  const snapshot = {
+    id: createSnapshotId(),
+    switchId,
+    file: uri.toString(),
+    timestamp: Date.now(),
+    origin,
+    profileName: profileName || '',
+    previousOrigin: context.workspaceState.get(STATE_CURRENT_ORIGIN) || '',
+    changed,
+    map
+  };
+  await setHistory(context, [snapshot, ...getHistory(context)]);
+  return snapshot;
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString(vscode.env.language, { hourCycle: 'h23' });
+}
+
+async function restoreSnapshot(context, snapshot, { keepInHistory, notify = true }) {
+  const uri = vscode.Uri.parse(snapshot.file);
+  const document = await vscode.workspace.openTextDocument(uri);
+  const base = await resolveBaseText(document);
+  if (!base) return false;
+
+  if (keepInHistory) {
+    // Restoring is itself a switch, so remember the state it replaces
+    let current = null;
     try {
-      return new URL(raw).origin;
+      current = parseProxyText(base.text, uri);
     } catch {
+      // Unparseable: nothing worth keeping
+    }
+    if (current) {
+      const changed = diffPaths(current, snapshot.map).map(toPointer);
+      await recordSnapshot(context, {
+        uri,
+        map: current,
+        origin: snapshot.previousOrigin,
+        profileName: vscode.l10n.t('Rollback to {0}', formatTimestamp(snapshot.timestamp)),
+        changed
+      });
+    }
+  } else {
+    await setHistory(context, getHistory(context).filter(s => s.id !== snapshot.id));
+  }
+
+  await replaceDocumentText(document, updateProxyText(base.text, snapshot.map, uri), base.save);
+  await context.workspaceState.update(STATE_CURRENT_ORIGIN, snapshot.previousOrigin || undefined);
+
+  if (notify) {
+    const fileName = vscode.workspace.asRelativePath(uri);
+    vscode.window.showInformationMessage(vscode.l10n.t('Rolled {0} back to its state before {1}', fileName, formatTimestamp(snapshot.timestamp)));
+  }
+  return true;
+}
+
+/**
+ * Works out what a plan — a list of `{ origin, profileName, targets, uri? }` steps, `targets` defaulting
+ * to the file's checkbox selection and `uri` limiting a step to one file — does to one file, asking about
+ * unsaved changes and showing the preview on the way. Nothing is written until {@link writePlanToFile}.
+ * Returns null when the file was skipped (error, conflict or preview cancelled).
+ */
+async function preparePlanForFile(context, uri, plan, options) {
+  const { label } = options;
+  const fileName = vscode.workspace.asRelativePath(uri);
+  let document;
+  let base;
+  let json;
+  try {
+    document = await vscode.workspace.openTextDocument(uri);
+    base = await resolveBaseText(document);
+    if (!base) return null;
+    json = parseProxyText(base.text, uri);
+  } catch (e) {
+    vscode.window.showErrorMessage(e.message || String(e));
+    return null;
+  }
+
+  let out = json;
+  const changedSet = new Set();
+  let rewritten = false;
+  const upstreams = [];
+  plan.forEach(step => {
+    if (step.uri && step.uri !== uri.toString()) return;
+    let targets = step.targets ?? getSelectedTargets(context, uri, json);
+    // Nothing checked leaves the file alone rather than meaning "everything"
+    if (Array.isArray(targets) && !targets.length) return;
+    // Targets behind the local proxy only switch its upstream
+    if (localProxies.size) {
+      const pointers = targets.flatMap(toTargetPointers);
+      const isProxied = p => localProxies.has(getLocalProxyKey(uri, p));
+      pointers.filter(isProxied).forEach(pointer => upstreams.push({ pointer, origin: step.origin, profileName: step.profileName }));
+      targets = pointers.filter(p => !isProxied(p));
+      if (!targets.length) return;
+    }
+    const rules = getRewriteRules(context, step.profileName);
+    if (rules && (rules.basePath || Object.keys(rules.paths).length || rules.replace.length)) rewritten = true;
+    const result = applyOriginToMap(out, step.origin, targets, rules);
+    out = result.out;
+    result.changed.forEach(k => changedSet.add(k));
+  });
+  const changed = Array.from(changedSet);
+  const pending = { uri, document, base, json, out, changed, rewritten, upstreams, nextText: null };
+  if (upstreams.length && !changed.length) return pending;
+
+  try {
+    pending.nextText = updateProxyText(base.text, out, uri);
+  } catch (e) {
+    vscode.window.showErrorMessage(e.message || String(e));
+    return null;
+  }
+  const preview = options.preview ?? plan.some(step => shouldPreview(uri, step.origin, step.profileName));
+  if (changed.length && preview) {
+    const confirmed = await confirmWithDiff(uri, pending.nextText, label, changed);
+    if (!confirmed) {
+      vscode.window.showInformationMessage(vscode.l10n.t('Cancelled applying to {0}', fileName));
       return null;
     }
   }
+  return pending;
+}
+
+/**
+ * Writes what {@link preparePlanForFile} worked out: switches local proxy upstreams, records the
+ * snapshot and replaces the file text in a single write. Returns null when the write failed.
+ */
+async function writePlanToFile(context, pending, plan, options) {
+  const { uri, document, base, json, out, changed, rewritten, upstreams, nextText } = pending;
+  const proxied = Array.from(new Set(upstreams.map(u => u.pointer)));
+  if (upstreams.length) {
+    upstreams.forEach(u => switchLocalUpstream(context, getLocalProxyKey(uri, u.pointer), u.origin, u.profileName));
+    await saveLocalProxyState(context);
+    if (!changed.length) return { uri, changed, urls: [], proxied };
+  }
+  const origin = plan.length === 1 ? plan[0].origin : '';
+  if (changed.length) {
+    await recordSnapshot(context, { uri, map: json, origin, profileName: options.profileName, changed, switchId: options.switchId });
+  }
+  try {
+    await replaceDocumentText(document, nextText, base.save);
+  } catch (e) {
+    vscode.window.showErrorMessage(e.message || String(e));
+    return null;
+  }
+  // Rewritten URLs are not obvious from the origin alone, so the summary lists them
+  const urls = rewritten ? changed.map(pointer => `${formatTargetLabel(pointer)} → ${getAtPath(out, parsePointer(pointer))}`) : [];
+  return { uri, changed, urls, proxied };
+}
+
+function formatApplySummary(label, results) {
+  const urls = Array.from(new Set(results.flatMap(r => r.urls || [])));
+  const urlList = urls.length > 5
+    ? vscode.l10n.t('{0} ({1} in total)', urls.slice(0, 5).join('; '), urls.length)
+    : urls.join('; ');
+  const urlText = urls.length ? vscode.l10n.t(': {0}', urlList) : '';
+  const proxied = results.reduce((count, r) => count + (r.proxied?.length || 0), 0);
+  const proxiedText = proxied ? vscode.l10n.t(', {0} switched on the local proxy', proxied) : '';
+  if (results.length === 1) {
+    const [{ uri, changed }] = results;
+    const changedText = changed.length
+      ? vscode.l10n.t(', {0} updated', changed.length)
+      : proxied ? '' : vscode.l10n.t(', no changes');
+    return vscode.l10n.t('Applied {0} to {1}', label, vscode.workspace.asRelativePath(uri)) + changedText + proxiedText + urlText;
+  }
+  const total = results.reduce((sum, r) => sum + r.changed.length, 0);
+  const details = joinList(results.map(r =>
+    `${vscode.workspace.asRelativePath(r.uri)} ${r.changed.length ? vscode.l10n.t('{0} items', r.changed.length) : vscode.l10n.t('no changes')}`));
+  return vscode.l10n.t('Applied {0} to {1} files, {2} updated in total ({3})', label, results.length, total, details) +
+    proxiedText + urlText;
+}
+
+function getHookSetting(key) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const value = config.get(`hooks.${key}`);
+  return Array.isArray(value) ? value : [];
+}
+
+// The profile's own hooks win over a matching `hooks.files` entry, which wins over the global list
+function resolveHooks(stage, uri, profile) {
+  if (Array.isArray(profile?.hooks?.[stage])) return profile.hooks[stage];
+  const entry = getHookSetting('files').find(e =>
+    e && Array.isArray(e[stage]) && matchesFilePattern(uri, [].concat(e.files)));
+  return entry ? entry[stage] : getHookSetting(stage);
+}
+
+// The shell a hook's command line goes to: an existing terminal's own shell, or what `exec` runs
+function getHookShell(hook) {
+  if (hook.type === 'shell') return process.platform === 'win32' ? 'cmd.exe' : '/bin/sh';
+  const terminal = vscode.window.terminals.find(t => t.name === hook.terminal);
+  return terminal?.creationOptions?.shellPath || vscode.env.shell;
+}
+
+// Every value is quoted, so a profile name or file path cannot inject commands
+function expandHookVariables(hook, vars) {
+  return expandHookCommand(hook.command, vars, getHookShell(hook));
+}
+
+function describeHook(hook, vars) {
+  if (hook.type === 'task') return vscode.l10n.t('Task {0}', hook.task);
+  if (hook.type === 'terminal') return vscode.l10n.t('Terminal {0}: {1}', hook.terminal, expandHookVariables(hook, vars));
+  return vscode.l10n.t('Command {0}', expandHookVariables(hook, vars));
+}
+
+// Resolves with the exit code of the task's process
+function waitForTaskEnd(name, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      listener.dispose();
+      reject(new Error(vscode.l10n.t('Task "{0}" timed out ({1} ms)', name, timeout)));
+    }, timeout);
+    const listener = vscode.tasks.onDidEndTaskProcess(e => {
+      if (e.execution.task.name !== name) return;
+      clearTimeout(timer);
+      listener.dispose();
+      resolve(e.exitCode);
+    });
+  });
+}
+
+// A running instance is stopped first, so a dev-server task restarts with the new config
+async function runTaskHook(name, timeout) {
+  const task = (await vscode.tasks.fetchTasks()).find(t => t.name === name);
+  if (!task) throw new Error(vscode.l10n.t('Task "{0}" not found', name));
+  const running = vscode.tasks.taskExecutions.find(e => e.task.name === name);
+  if (running) {
+    const ended = waitForTaskEnd(name, timeout);
+    running.terminate();
+    await ended;
+  }
+  const ended = task.isBackground ? null : waitForTaskEnd(name, timeout);
+  await vscode.tasks.executeTask(task);
+  // Background tasks (watchers, dev servers) never end, starting them is enough
+  const exitCode = ended ? await ended : 0;
+  if (exitCode) throw new Error(vscode.l10n.t('Task "{0}" exited with code {1}', name, exitCode));
+}
+
+function runTerminalHook(hook, command, cwd) {
+  const terminal = vscode.window.terminals.find(t => t.name === hook.terminal) ||
+    vscode.window.createTerminal({ name: hook.terminal, cwd });
+  // Ctrl+C stops whatever runs in the terminal, e.g. `npm run serve`
+  if (hook.restart) terminal.sendText('\u0003', false);
+  terminal.sendText(command);
+}
+
+function runShellHook(command, cwd, timeout) {
+  return new Promise((resolve, reject) => {
+    exec(command, { cwd, timeout, windowsHide: true }, (error, stdout, stderr) => {
+      if (stdout) getProxyOutput().append(stdout);
+      if (stderr) getProxyOutput().append(stderr);
+      if (!error) resolve();
+      else reject(new Error(error.killed ? vscode.l10n.t('Timed out ({0} ms)', timeout) : vscode.l10n.t('Exited with code {0}', error.code)));
+    });
+  });
+}
+
+async function runHook(hook, vars, cwd) {
+  const timeout = Number(hook.timeout) > 0 ? Number(hook.timeout) : DEFAULT_HOOK_TIMEOUT;
+  if (hook.type === 'task') {
+    if (!hook.task) throw new Error(vscode.l10n.t('Missing task'));
+    return runTaskHook(hook.task, timeout);
+  }
+  if (hook.type !== 'terminal' && hook.type !== 'shell') throw new Error(vscode.l10n.t('Unknown hook type: {0}', hook.type));
+  const command = expandHookVariables(hook, vars);
+  if (!command) throw new Error(vscode.l10n.t('Missing command'));
+  if (hook.type === 'shell') return runShellHook(command, cwd, timeout);
+  if (!hook.terminal) throw new Error(vscode.l10n.t('Missing terminal'));
+  return runTerminalHook(hook, command, cwd);
+}
+
+/**
+ * Runs the `stage` hooks for `entries` (`{ uri, changed }`). Files resolving to the same hook
+ * list share one run, so a dev server restarts once per switch; `${changedKeys}` and `${files}`
+ * cover that run's files. A failing hook skips the rest of its list and is logged to the
+ * output channel. Returns false when any hook failed.
+ */
+async function runApplyHooks(context, stage, plan, options, entries) {
+  const profile = plan.length === 1 && plan[0].profileName
+    ? getAllOrigins(context).find(o => o.name === plan[0].profileName)
+    : null;
+  const groups = new Map();
+  entries.forEach(entry => {
+    const hooks = resolveHooks(stage, entry.uri, profile).filter(isPlainObject);
+    if (!hooks.length) return;
+    const key = JSON.stringify(hooks);
+    if (!groups.has(key)) groups.set(key, { hooks, entries: [] });
+    groups.get(key).entries.push(entry);
+  });
+
+  let ok = true;
+  for (const group of groups.values()) {
+    const vars = {
+      origin: Array.from(new Set(plan.map(step => step.origin))).join(','),
+      profile: options.profileName || '',
+      changedKeys: Array.from(new Set(group.entries.flatMap(e => e.changed))).join(','),
+      files: group.entries.map(e => vscode.workspace.asRelativePath(e.uri)).join(',')
+    };
+    const cwd = vscode.workspace.getWorkspaceFolder(group.entries[0].uri)?.uri.fsPath;
+    for (const hook of group.hooks) {
+      const detail = describeHook(hook, vars);
+      logProxy(stage === 'preApply' ? vscode.l10n.t('Pre-apply hook: {0}', detail) : vscode.l10n.t('Post-apply hook: {0}', detail));
+      try {
+        await runHook(hook, vars, cwd);
+      } catch (e) {
+        const reason = e.message || String(e);
+        logProxy(stage === 'preApply' ? vscode.l10n.t('Pre-apply hook failed: {0}', reason) : vscode.l10n.t('Post-apply hook failed: {0}', reason));
+        ok = false;
+        break;
+      }
+    }
+  }
+  return ok;
+}
+
+function showHookFailure(message) {
+  vscode.window.showErrorMessage(message, vscode.l10n.t('Show Log')).then(choice => {
+    if (choice) getProxyOutput().show();
+  });
+}
+
+// Runs the plan on every file chosen by `multiFileMode`
+async function applyPlan(context, plan, options) {
+  if (!(await confirmOriginsReachable(context, plan.map(step => step.origin)))) return null;
+  const uris = options.uris ?? await pickTargetFiles(context);
+  const pending = [];
+  for (const uri of uris) {
+    const prepared = await preparePlanForFile(context, uri, plan, options);
+    if (prepared) pending.push(prepared);
+  }
+  if (!pending.length) return null;
+  // Every prompt has been answered by now, so a cancelled switch never runs the pre-apply hooks
+  if (!(await runApplyHooks(context, 'preApply', plan, options, pending))) {
+    showHookFailure(vscode.l10n.t('A pre-apply hook failed, the switch was cancelled'));
+    return null;
+  }
+  const results = [];
+  const switchId = createSnapshotId();
+  for (const prepared of pending) {
+    const result = await writePlanToFile(context, prepared, plan, { ...options, switchId });
+    if (result) results.push(result);
+  }
+  if (!results.length) return null;
+  vscode.window.showInformationMessage(formatApplySummary(options.label, results));
+  // Only files that were actually rewritten need the dev server to pick up a change
+  const written = results.filter(r => r.changed.length);
+  if (written.length && !(await runApplyHooks(context, 'postApply', plan, options, written))) {
+    showHookFailure(vscode.l10n.t('A post-apply hook failed'));
+  }
+  switchEmitter.fire({
+    label: options.label,
+    steps: plan.map(step => ({ origin: step.origin, profileName: step.profileName || '' })),
+    files: results.map(r => ({ uri: r.uri, changed: r.changed }))
+  });
+  return results;
+}
+
+/**
+ * Writes `origin` into the selected targets of the proxy files chosen by `multiFileMode`.
+ * `options.targets` overrides the per-file checkbox selection; `options.preview` forces (true)
+ * or skips (false) the diff confirmation, when omitted the preview settings decide.
+ * Returns null when nothing was written.
+ */
+async function applyOrigin(context, origin, options = {}) {
+  const normalized = normalizeOrigin(origin);
+  if (!normalized) {
+    vscode.window.showErrorMessage(vscode.l10n.t('Invalid address'));
+    return null;
+  }
+  if (!hasExplicitPort(normalized)) {
+    vscode.window.showErrorMessage(vscode.l10n.t('Port is required, e.g. 10.8.150.33:7002'));
+    return null;
+  }
+
+  // A target set linked to the profile switches the checkboxes before applying
+  const linkedSet = options.profileName && !options.targets ? findTargetSetForProfile(options.profileName) : null;
+  if (linkedSet) {
+    await applyTargetSet(context, linkedSet, await loadProxyFilesForView());
+  }
+
+  const plan = [{ origin: normalized, profileName: options.profileName, targets: options.targets }];
+  const results = await applyPlan(context, plan, { ...options, label: normalized });
+  if (!results) return null;
+
+  await context.workspaceState.update(STATE_CURRENT_ORIGIN, normalized);
+  await recordRecentOrigin(context, normalized);
+  return { origin: normalized, results };
+}
+
+function getCustomOrigins(context) {
+  const current = context.workspaceState.get(STATE_CUSTOM_ORIGINS) || [];
+  if (!Array.isArray(current)) return [];
+  return current.map(o => (typeof o === 'string' ? { name: o, origin: o } : o));
+}
+
+// Standard profiles first, so their names win over custom origins with the same name
+function getAllOrigins(context) {
+  return [
+    ...getProfiles().map(p => ({ ...p, source: 'standard' })),
+    ...getCustomOrigins(context).map(o => ({ ...o, source: 'custom' }))
+  ]
+    .map(o => ({ ...o, origin: normalizeOrigin(o.origin) }))
+    .filter(o => o.origin);
+}
+
+// Most recent first; addresses typed into the switcher are remembered as well
+function getRecentOrigins(context) {
+  const recent = context.workspaceState.get(STATE_RECENT_ORIGINS) || [];
+  return Array.isArray(recent) ? recent : [];
+}
+
+async function recordRecentOrigin(context, origin) {
+  const recent = [origin, ...getRecentOrigins(context).filter(o => o !== origin)].slice(0, MAX_RECENT_ORIGINS);
+  await context.workspaceState.update(STATE_RECENT_ORIGINS, recent);
+}
+
+// Pinned origins, global like the profiles so they follow the user across workspaces
+function getFavoriteOrigins(context) {
+  const favorites = context.globalState.get(STATE_FAVORITE_ORIGINS) || [];
+  return Array.isArray(favorites) ? favorites : [];
+}
+
+async function toggleFavoriteOrigin(context, origin) {
+  const favorites = getFavoriteOrigins(context);
+  await context.globalState.update(
+    STATE_FAVORITE_ORIGINS,
+    favorites.includes(origin) ? favorites.filter(o => o !== origin) : [...favorites, origin]
+  );
+}
+
+/**
+ * Items of the environment switcher: favourites, then recent origins, then the remaining
+ * standard and custom addresses. A typed `host:port` no address matches goes first.
+ */
+function buildSwitcherItems(context, value, buttons) {
+  const origins = getAllOrigins(context);
+  const current = context.workspaceState.get(STATE_CURRENT_ORIGIN);
+  const favorites = getFavoriteOrigins(context);
+  const recent = getRecentOrigins(context).filter(o => !favorites.includes(o));
+  const toItem = origin => {
+    const named = origins.find(o => o.origin === origin);
+    const favorite = favorites.includes(origin);
+    return {
+      label: named ? named.name : origin,
+      description: [named ? origin : '', origin === current ? vscode.l10n.t('Current') : ''].filter(Boolean).join(' · '),
+      detail: !named
+        ? undefined
+        : named.source === 'custom' ? vscode.l10n.t('Custom address') : formatGroupName(getProfileGroup(named)),
+      origin,
+      name: named ? named.name : '',
+      buttons: [favorite ? buttons.unfavorite : buttons.favorite, buttons.checked, buttons.all]
+    };
+  };
+  const section = (label, list) => (list.length ? [{ label, kind: vscode.QuickPickItemKind.Separator }, ...list.map(toItem)] : []);
+  const listed = new Set([...favorites, ...recent]);
+  const rest = source => Array.from(new Set(origins.filter(o => o.source === source && !listed.has(o.origin)).map(o => o.origin)));
+
+  const typed = normalizeOrigin(value);
+  const raw = typed && hasExplicitPort(typed) && !origins.some(o => o.origin === typed)
+    ? [{
+      label: vscode.l10n.t('$(arrow-right) Apply {0}', typed),
+      alwaysShow: true,
+      origin: typed,
+      name: '',
+      buttons: [buttons.checked, buttons.all]
+    }]
+    : [];
+  return [
+    ...raw,
+    ...section(vscode.l10n.t('Favourites'), favorites),
+    ...section(vscode.l10n.t('Recent'), recent),
+    ...section(vscode.l10n.t('Standard Addresses'), rest('standard')),
+    ...section(vscode.l10n.t('Custom Addresses'), rest('custom'))
+  ];
+}
+
+/**
+ * Fuzzy-searchable picker over every origin. Resolves to `{ origin, name, allTargets }`,
+ * or null when dismissed; the item buttons pin an origin or pick which targets to switch.
+ */
+function pickOriginToApply(context) {
+  const buttons = {
+    favorite: { iconPath: new vscode.ThemeIcon('star-empty'), tooltip: vscode.l10n.t('Add to Favourites') },
+    unfavorite: { iconPath: new vscode.ThemeIcon('star-full'), tooltip: vscode.l10n.t('Remove from Favourites') },
+    checked: { iconPath: new vscode.ThemeIcon('checklist'), tooltip: vscode.l10n.t('Apply to Checked Targets') },
+    all: { iconPath: new vscode.ThemeIcon('check-all'), tooltip: vscode.l10n.t('Apply to All Targets') }
+  };
+  return new Promise(resolve => {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.placeholder = vscode.l10n.t('Search by name, group or address, or type host:port to apply it');
+    quickPick.matchOnDescription = true;
+    quickPick.matchOnDetail = true;
+    const render = () => {
+      quickPick.items = buildSwitcherItems(context, quickPick.value, buttons);
+    };
+    let picked = null;
+    quickPick.onDidChangeValue(render);
+    quickPick.onDidAccept(() => {
+      const [item] = quickPick.selectedItems;
+      if (!item?.origin) return;
+      picked = { origin: item.origin, name: item.name, allTargets: false };
+      quickPick.hide();
+    });
+    quickPick.onDidTriggerItemButton(async ({ item, button }) => {
+      if (button === buttons.favorite || button === buttons.unfavorite) {
+        await toggleFavoriteOrigin(context, item.origin);
+        render();
+        return;
+      }
+      picked = { origin: item.origin, name: item.name, allTargets: button === buttons.all };
+      quickPick.hide();
+    });
+    quickPick.onDidHide(() => {
+      quickPick.dispose();
+      resolve(picked);
+    });
+    render();
+    quickPick.show();
+  });
+}
+
+function getScenarios() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const scenarios = config.get('scenarios') || [];
+  return Array.isArray(scenarios) ? scenarios.filter(s => s && s.name && isPlainObject(s.targets)) : [];
+}
+
+async function setScenarios(scenarios) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  await config.update('scenarios', scenarios, vscode.ConfigurationTarget.Workspace);
+}
+
+/**
+ * Target sets are named selections of target pointers, kept in the workspace settings:
+ * `{ name, targets: ['/rest', ...], profiles?: ['SIT-PG'] }`. `profiles` links the set
+ * so applying one of those profiles checks the set's targets first.
+ */
+function getTargetSets() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const sets = config.get('targetSets') || [];
+  return Array.isArray(sets) ? sets.filter(s => s && s.name && Array.isArray(s.targets)) : [];
+}
+
+async function setTargetSets(sets) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  await config.update('targetSets', sets, vscode.ConfigurationTarget.Workspace);
+}
+
+function findTargetSetForProfile(profileName) {
+  return getTargetSets().find(s => Array.isArray(s.profiles) && s.profiles.includes(profileName)) || null;
+}
+
+// Set targets resolve like the CLI's `--targets`, so `/rest` also checks `/rest/target`
+async function applyTargetSet(context, set, files) {
+  for (const { uri, map } of files) {
+    if (map) await setSelectedTargets(context, uri, matchTargets(map, set.targets));
+  }
+}
+
+// The set whose targets are exactly what is checked in every loaded file
+function findActiveTargetSet(context, files) {
+  const loaded = files.filter(f => f.map);
+  if (!loaded.length) return null;
+  return getTargetSets().find(set => loaded.every(({ uri, map }) => {
+    const expected = matchTargets(map, set.targets);
+    const selected = getSelectedTargets(context, uri, map);
+    return expected.length === selected.length && expected.every(k => selected.includes(k));
+  })) || null;
+}
+
+// A scenario value is either a profile / custom origin name or an address
+function resolveScenarioOrigin(context, value) {
+  const named = getAllOrigins(context).find(o => o.name === value);
+  if (named) return { origin: named.origin, profileName: named.name };
+  return { origin: normalizeOrigin(value), profileName: '' };
+}
+
+/**
+ * Turns a scenario's `{ target: profile-or-origin }` mapping into an apply plan, one step per
+ * origin. Target names resolve against `maps` like the CLI's `--targets`, so `rest` covers
+ * `/rest/target`. Returns `{ plan, invalid, missing }` where `invalid` lists unresolvable
+ * entries and `missing` the target names that match nothing.
+ */
+function buildScenarioPlan(context, scenario, maps) {
+  const steps = new Map();
+  const invalid = [];
+  const missing = [];
+  Object.entries(scenario.targets).forEach(([key, value]) => {
+    const { origin, profileName } = resolveScenarioOrigin(context, value);
+    if (!origin || !hasExplicitPort(origin)) {
+      invalid.push(`${key} → ${value}`);
+      return;
+    }
+    const pointers = maps.flatMap(map => matchTargets(map, [key]));
+    if (!pointers.length) {
+      missing.push(key);
+      return;
+    }
+    if (!steps.has(origin)) steps.set(origin, { origin, profileName, targets: [] });
+    steps.get(origin).targets.push(...pointers);
+  });
+  const plan = Array.from(steps.values(), step => ({ ...step, targets: Array.from(new Set(step.targets)) }));
+  return { plan, invalid, missing };
+}
+
+async function applyScenario(context, scenario, options = {}) {
+  const uris = options.uris ?? await pickTargetFiles(context);
+  if (!uris.length) return null;
+  const maps = await Promise.all(uris.map(uri => readProxyMap(uri).catch(() => null)));
+  const { plan, invalid, missing } = buildScenarioPlan(context, scenario, maps.filter(Boolean));
+  if (invalid.length) {
+    vscode.window.showErrorMessage(
+      vscode.l10n.t('Scenario "{0}" has invalid addresses or addresses without a port: {1}', scenario.name, joinList(invalid))
+    );
+    return null;
+  }
+  if (missing.length) {
+    vscode.window.showErrorMessage(vscode.l10n.t('Scenario "{0}" names targets that match nothing: {1}', scenario.name, joinList(missing)));
+    return null;
+  }
+  if (!plan.length) {
+    vscode.window.showWarningMessage(vscode.l10n.t('Scenario "{0}" has no targets', scenario.name));
+    return null;
+  }
+  const results = await applyPlan(context, plan, { ...options, uris, label: vscode.l10n.t('Scenario "{0}"', scenario.name), profileName: scenario.name });
+  if (!results) return null;
 
-  const withScheme = `http://${raw}`;
+  // Several origins at once: there is no single current origin any more
+  await context.workspaceState.update(STATE_CURRENT_ORIGIN, plan.length === 1 ? plan[0].origin : undefined);
+  return { results };
+}
+
+// Maps every URL target of the given maps back to a profile name where one matches its origin
+function captureScenarioTargets(context, maps) {
+  const origins = getAllOrigins(context);
+  const targets = {};
+  maps.forEach(map => {
+    collectUrlTargets(map).forEach(({ pointer, value }) => {
+      if (pointer in targets) return;
+      const origin = normalizeOrigin(value);
+      const named = origins.find(o => o.origin === origin);
+      targets[pointer] = named ? named.name : origin;
+    });
+  });
+  return targets;
+}
+
+function getHealthCheckConfig() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  return {
+    interval: Number(config.get('healthCheck.interval')) || 0,
+    timeout: Number(config.get('healthCheck.timeout')) || 3000,
+    path: config.get('healthCheck.path') || '',
+    warnBeforeApply: config.get('healthCheck.warnBeforeApply') !== false
+  };
+}
+
+function probeTcp(origin, timeout) {
+  const url = new URL(origin);
+  const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+  const started = Date.now();
+  return new Promise(resolve => {
+    const socket = net.connect({ host: url.hostname, port });
+    const finish = result => {
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(timeout);
+    socket.once('connect', () => finish({ ok: true, latency: Date.now() - started }));
+    socket.once('timeout', () => finish({ ok: false, error: vscode.l10n.t('Connection timed out') }));
+    socket.once('error', e => finish({ ok: false, error: e.code || e.message }));
+  });
+}
+
+// Any 2xx/3xx answer counts as healthy
+function probeHttp(origin, healthPath, timeout) {
+  const target = new URL(healthPath, origin);
+  const client = target.protocol === 'https:' ? https : http;
+  const started = Date.now();
+  return new Promise(resolve => {
+    const req = client.get(target, { timeout, rejectUnauthorized: false }, res => {
+      res.resume();
+      const ok = res.statusCode >= 200 && res.statusCode < 400;
+      resolve(ok ? { ok, latency: Date.now() - started } : { ok, error: `HTTP ${res.statusCode}` });
+    });
+    req.once('timeout', () => req.destroy(new Error(vscode.l10n.t('Request timed out'))));
+    req.once('error', e => resolve({ ok: false, error: e.code || e.message }));
+  });
+}
+
+async function probeOrigin(origin, healthPath, timeout) {
+  const tcp = await probeTcp(origin, timeout);
+  if (!tcp.ok || !healthPath) return tcp;
+  return probeHttp(origin, healthPath, timeout);
+}
+
+// `.git` is a file holding `gitdir: <path>` in worktrees and submodules
+async function getGitHeadUri(folder) {
+  const dotGit = vscode.Uri.joinPath(folder.uri, '.git');
   try {
-    return new URL(withScheme).origin;
+    const stat = await vscode.workspace.fs.stat(dotGit);
+    if (stat.type !== vscode.FileType.File) return vscode.Uri.joinPath(dotGit, 'HEAD');
+    const match = /^gitdir:\s*(.+)$/m.exec(await readDiskText(dotGit));
+    if (!match) return null;
+    const gitDir = match[1].trim();
+    return path.isAbsolute(gitDir)
+      ? vscode.Uri.joinPath(vscode.Uri.file(gitDir), 'HEAD')
+      : vscode.Uri.joinPath(folder.uri, gitDir, 'HEAD');
   } catch {
     return null;
   }
 }
 
-function hasExplicitPort(origin) {
-  try {
-    const u = new URL(origin);
-    return Boolean(u.port);
-  } catch {
-    return false;
+// Null outside git and on a detached HEAD
+async function readGitBranch(folder) {
+  const headUri = await getGitHeadUri(folder);
+  if (!headUri) return null;
+  try {
+    const match = /^ref:\s*refs\/heads\/(.+)$/m.exec(await readDiskText(headUri));
+    return match ? match[1].trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+function getAutoApplyMode() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const mode = config.get('autoApply.mode');
+  return ['prompt', 'silent', 'off'].includes(mode) ? mode : 'prompt';
+}
+
+/**
+ * First `autoApply.rules` entry matching the folder and branch. A rule binds a `profile`
+ * (or custom origin name) or a `scenario` to a `branch` glob and/or a workspace `folder` name.
+ */
+function findAutoApplyRule(folder, branch) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const rules = config.get('autoApply.rules') || [];
+  if (!Array.isArray(rules)) return null;
+  return rules.find(rule => {
+    if (!rule || !(rule.profile || rule.scenario) || !(rule.branch || rule.folder)) return false;
+    if (rule.folder && rule.folder !== folder.name) return false;
+    if (rule.branch && !(branch && globToRegExp(rule.branch).test(branch))) return false;
+    return true;
+  }) || null;
+}
+
+function getLocalProxyConfig() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const entries = Object.entries(config.get('localProxy.ports') || {});
+  const ports = Object.fromEntries(entries.map(([key, port]) => [toTargetPointer(key), Number(port)]));
+  // A literal `/…` key only fills in what no pointer claimed
+  entries.forEach(([key, port]) => toTargetPointers(key).forEach(pointer => { ports[pointer] ??= Number(port); }));
+  return {
+    basePort: config.get('localProxy.basePort') || DEFAULT_LOCAL_PROXY_PORT,
+    ports
+  };
+}
+
+function getProxyOutput() {
+  if (!proxyOutput) proxyOutput = vscode.window.createOutputChannel('Proxy URL Switcher');
+  return proxyOutput;
+}
+
+function logProxy(line) {
+  getProxyOutput().appendLine(`[${formatTimestamp(Date.now())}] ${line}`);
+}
+
+// Proxies are per file and target: the same pointer in two files may point at different upstreams
+function getLocalProxyKey(uri, pointer) {
+  return `${uri.toString()}#${pointer}`;
+}
+
+// Forwards every request to the target's current upstream, so switching never touches the file
+function replyLocalProxyError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+function createLocalProxyServer(key) {
+  return http.createServer((req, res) => {
+    // Missing while a start or stop rewrites the proxy files
+    const entry = localProxies.get(key);
+    if (!entry) {
+      replyLocalProxyError(res, 503, vscode.l10n.t('Proxy URL Switcher: the local proxy is being reconfigured, retry shortly'));
+      return;
+    }
+    // Only origin-form paths are forwarded, never absolute URLs naming another host
+    if (!req.url.startsWith('/')) {
+      replyLocalProxyError(res, 400, vscode.l10n.t('Proxy URL Switcher: unsupported request target {0}', req.url));
+      return;
+    }
+    const { pointer } = entry;
+    const started = Date.now();
+    // Concatenated rather than resolved, so a path such as //host/x stays a path on the upstream
+    let target = new URL(new URL(entry.upstream).origin + req.url);
+    if (entry.rules) target = new URL(rewriteUrl(target, pointer, entry.rules, { targetPath: entry.targetPath }));
+    entry.requests += 1;
+    const client = target.protocol === 'https:' ? https : http;
+    const upstreamReq = client.request(
+      target,
+      { method: req.method, headers: { ...req.headers, host: target.host }, rejectUnauthorized: false },
+      upstreamRes => {
+        res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+        upstreamRes.pipe(res);
+        logProxy(`${req.method} ${req.url} → ${target.href} ${upstreamRes.statusCode} ${Date.now() - started}ms`);
+      }
+    );
+    upstreamReq.on('error', e => {
+      logProxy(vscode.l10n.t('{0} {1} → {2} failed: {3}', req.method, req.url, target.href, e.code || e.message));
+      if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(vscode.l10n.t('Proxy URL Switcher: {0} is unreachable ({1})', target.origin, e.code || e.message));
+    });
+    req.pipe(upstreamReq);
+  });
+}
+
+function listenLocal(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, LOCAL_PROXY_HOST, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Starts one server per `{ file, pointer, port, upstream, profileName }`, `file` being the
+ * proxy file's uri string. Either all of them listen or none do; a busy port rejects with
+ * the offending target in the message.
+ */
+async function startLocalProxyServers(context, entries) {
+  const started = [];
+  try {
+    for (const entry of entries) {
+      const key = getLocalProxyKey(entry.file, entry.pointer);
+      const server = createLocalProxyServer(key);
+      try {
+        await listenLocal(server, entry.port);
+      } catch (e) {
+        throw new Error(vscode.l10n.t('{0} cannot listen on port {1}: {2}', formatTargetLabel(entry.pointer), entry.port, e.code || e.message));
+      }
+      started.push(key);
+      localProxies.set(key, {
+        file: entry.file,
+        pointer: entry.pointer,
+        targetPath: entry.targetPath,
+        server,
+        port: entry.port,
+        upstream: entry.upstream,
+        profileName: entry.profileName,
+        rules: getRewriteRules(context, entry.profileName),
+        requests: 0
+      });
+    }
+  } catch (e) {
+    started.forEach(key => {
+      localProxies.get(key).server.close();
+      localProxies.delete(key);
+    });
+    throw e;
+  }
+  entries.forEach(e => logProxy(vscode.l10n.t('Start {0} {1}:{2} → {3}', formatTargetLabel(e.pointer), LOCAL_PROXY_HOST, e.port, e.upstream)));
+}
+
+function stopLocalProxyServers() {
+  localProxies.forEach(entry => {
+    entry.server.close();
+    logProxy(vscode.l10n.t('Stop {0} {1}:{2}', formatTargetLabel(entry.pointer), LOCAL_PROXY_HOST, entry.port));
+  });
+  localProxies.clear();
+}
+
+// Persisted so the servers come back with the window; the proxy files keep pointing at them
+async function saveLocalProxyState(context) {
+  const state = localProxies.size
+    ? Array.from(localProxies.values(), e => ({
+      file: e.file,
+      pointer: e.pointer,
+      targetPath: e.targetPath,
+      port: e.port,
+      upstream: e.upstream,
+      profileName: e.profileName
+    }))
+    : undefined;
+  await context.workspaceState.update(STATE_LOCAL_PROXY, state);
+}
+
+function switchLocalUpstream(context, key, origin, profileName) {
+  const entry = localProxies.get(key);
+  if (entry.upstream === origin && entry.profileName === profileName) return;
+  entry.upstream = origin;
+  entry.profileName = profileName;
+  entry.rules = getRewriteRules(context, profileName);
+  logProxy(vscode.l10n.t('Switch {0} → {1}', formatTargetLabel(entry.pointer), profileName ? vscode.l10n.t('{0} ({1})', profileName, origin) : origin));
+}
+
+/**
+ * Probes each `{ origin, healthPath }` once (duplicates collapsed) and records the result
+ * in `healthStatus`, calling `onUpdate` whenever a status changes.
+ */
+async function checkHealth(origins, onUpdate = () => {}) {
+  const { timeout, path } = getHealthCheckConfig();
+  const unique = new Map();
+  origins.forEach(o => {
+    if (o.origin && !unique.has(o.origin)) unique.set(o.origin, o.healthPath ?? path);
+  });
+  await Promise.all(
+    Array.from(unique.entries()).map(async ([origin, healthPath]) => {
+      healthStatus.set(origin, { ...healthStatus.get(origin), state: 'checking' });
+      onUpdate();
+      const result = await probeOrigin(origin, healthPath, timeout);
+      healthStatus.set(origin, {
+        state: result.ok ? 'up' : 'down',
+        latency: result.latency,
+        error: result.error,
+        checkedAt: Date.now()
+      });
+      onUpdate();
+    })
+  );
+}
+
+function formatHealth(origin) {
+  const status = healthStatus.get(origin);
+  if (!status) return '';
+  if (status.state === 'checking') return vscode.l10n.t('Checking…');
+  if (status.state === 'up') return `${status.latency}ms`;
+  return vscode.l10n.t('Unreachable ({0})', status.error);
+}
+
+// Origins never probed are probed now; returns false when the user backs out
+async function confirmOriginsReachable(context, origins) {
+  if (!getHealthCheckConfig().warnBeforeApply) return true;
+  const known = getAllOrigins(context);
+  const unknown = origins.filter(o => !healthStatus.has(o) || healthStatus.get(o).state === 'checking');
+  if (unknown.length) {
+    await checkHealth(unknown.map(origin => ({ origin, healthPath: known.find(k => k.origin === origin)?.healthPath })));
+  }
+  const down = origins.filter(o => healthStatus.get(o)?.state === 'down');
+  if (!down.length) return true;
+  const applyAnyway = vscode.l10n.t('Apply Anyway');
+  const choice = await vscode.window.showWarningMessage(
+    vscode.l10n.t('The following addresses are unreachable. Apply anyway?'),
+    { modal: true, detail: down.map(o => vscode.l10n.t('{0}: {1}', o, healthStatus.get(o).error)).join('\n') },
+    applyAnyway
+  );
+  return choice === applyAnyway;
+}
+
+function getUserProfiles() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const profiles = config.get('profiles') || [];
+  return Array.isArray(profiles) ? profiles.filter(p => p && p.name) : [];
+}
+
+// Team profiles win name conflicts, see `mergeProfiles`
+function getProfiles() {
+  return core.mergeProfiles(teamProfiles, getUserProfiles());
+}
+
+function getTeamProfilesPath() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  return config.get('teamProfilesFile') || DEFAULT_TEAM_PROFILES_FILE;
+}
+
+function getTeamProfilesUri(folder) {
+  return vscode.Uri.joinPath(folder.uri, getTeamProfilesPath());
+}
+
+// Earlier workspace folders win when two team files define the same name
+async function loadTeamProfiles() {
+  const loaded = [];
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const uri = getTeamProfilesUri(folder);
+    let text;
+    try {
+      text = await readDiskText(uri);
+    } catch {
+      continue;
+    }
+    try {
+      extractTeamProfiles(parseJsonText(text, uri)).forEach(p => {
+        if (!loaded.some(l => l.name === p.name)) loaded.push({ ...p, teamFile: uri.toString() });
+      });
+    } catch (e) {
+      vscode.window.showWarningMessage(e.message || String(e));
+    }
+  }
+  teamProfiles = loaded;
+}
+
+async function writeTeamProfiles(uri, profiles) {
+  const clean = profiles.map(({ scope, teamFile, ...p }) => p);
+  let text = null;
+  try {
+    text = await readDiskText(uri);
+  } catch {
+    // Not created yet
+  }
+  if (text === null) {
+    const content = JSON.stringify({ profiles: clean }, null, 2) + '\n';
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+    return;
+  }
+  const data = parseJsonText(text, uri);
+  const next = Array.isArray(data) ? clean : { ...data, profiles: clean };
+  const document = await vscode.workspace.openTextDocument(uri);
+  await replaceDocumentText(document, updateJsonText(document.getText(), next, uri));
+}
+
+async function pickTeamProfilesUri() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (!folders.length) {
+    vscode.window.showErrorMessage(vscode.l10n.t('Open a workspace first'));
+    return null;
+  }
+  if (folders.length === 1) return getTeamProfilesUri(folders[0]);
+  const picked = await vscode.window.showQuickPick(
+    folders.map(f => ({ label: f.name, description: getTeamProfilesPath(), folder: f })),
+    { placeHolder: vscode.l10n.t('Select the workspace folder of the team profile file') }
+  );
+  return picked ? getTeamProfilesUri(picked.folder) : null;
+}
+
+// Profile names in the order set by dragging; global like the profiles themselves
+function getProfileOrder(context) {
+  const order = context.globalState.get(STATE_PROFILE_ORDER) || [];
+  return Array.isArray(order) ? order : [];
+}
+
+async function setProfileOrder(context, names) {
+  await context.globalState.update(STATE_PROFILE_ORDER, names);
+}
+
+function normalizeGroup(group) {
+  return !group || group === LEGACY_DEFAULT_GROUP ? DEFAULT_GROUP : group;
+}
+
+function getProfileGroup(profile) {
+  return normalizeGroup(profile?.group);
+}
+
+function formatGroupName(group) {
+  return group === DEFAULT_GROUP ? vscode.l10n.t('Standard') : group;
+}
+
+// Typed group names: empty or the displayed default name mean the default group
+function parseGroupName(value) {
+  const group = String(value || '').trim();
+  return !group || group === formatGroupName(DEFAULT_GROUP) ? DEFAULT_GROUP : normalizeGroup(group);
+}
+
+// The default group is stored as "no group", so settings read the same in every language
+function toStoredGroup(group) {
+  return group === DEFAULT_GROUP ? undefined : group;
+}
+
+// Changes set to undefined remove the field, e.g. `{ group: undefined }` for the default group
+function mergeProfileChanges(profile, changes) {
+  const next = { ...profile, ...changes };
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === undefined) delete next[key];
+  });
+  return next;
+}
+
+// Groups listed in `groupOrder` come first in that order, the rest by name in a fixed collation
+function compareGroups(ga, gb) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const groupOrder = (config.get('groupOrder') || DEFAULT_GROUP_ORDER).map(normalizeGroup);
+  const ia = groupOrder.indexOf(ga);
+  const ib = groupOrder.indexOf(gb);
+
+  if (ia !== -1 && ib !== -1) return ia - ib;
+  if (ia !== -1) return -1;
+  if (ib !== -1) return 1;
+  return ga.localeCompare(gb, 'en');
+}
+
+// Group priority first, then the dragged order, then name for profiles never dragged
+function sortProfiles(context, profiles) {
+  const order = getProfileOrder(context);
+  const rank = name => {
+    const index = order.indexOf(name);
+    return index === -1 ? Infinity : index;
+  };
+  return [...profiles].sort((a, b) => {
+    const compareGroup = compareGroups(getProfileGroup(a), getProfileGroup(b));
+    if (compareGroup !== 0) return compareGroup;
+
+    const ra = rank(a.name);
+    const rb = rank(b.name);
+    if (ra !== rb) return ra === Infinity ? 1 : rb === Infinity ? -1 : ra - rb;
+    return String(a.name || '').localeCompare(String(b.name || ''), 'zh-CN');
+  });
+}
+
+// Writes to wherever the profile lives: the team file or the user settings
+async function updateStandardProfile(name, changes) {
+  const profile = getProfiles().find(p => p.name === name);
+  if (!profile) return false;
+  if (profile.scope === 'team') {
+    const uri = vscode.Uri.parse(profile.teamFile);
+    const list = extractTeamProfiles(parseJsonText(await readDiskText(uri), uri));
+    await writeTeamProfiles(uri, list.map(p => (p.name === name ? mergeProfileChanges(p, changes) : p)));
+    await loadTeamProfiles();
+    return true;
   }
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const profiles = config.get('profiles') || [];
+  await config.update(
+    'profiles',
+    profiles.map(p => (p && p.name === name ? mergeProfileChanges(p, changes) : p)),
+    vscode.ConfigurationTarget.Global
+  );
+  return true;
 }
 
-function validateOriginInputRequirePort(input) {
-  const origin = normalizeOrigin(input);
-  if (!origin) return '输入格式不合法';
-  if (!hasExplicitPort(origin)) return '端口不能为空，例如 10.8.150.33:7002';
-  return null;
+async function updateCustomOrigin(context, origin, changes) {
+  const next = getCustomOrigins(context).map(o => (o.origin === origin ? { ...o, ...changes } : o));
+  await context.workspaceState.update(STATE_CUSTOM_ORIGINS, next);
 }
 
-function groupBy(items, getKey) {
-  return items.reduce((acc, item) => {
-    const key = getKey(item) || '';
-    if (!acc[key]) acc[key] = [];
-    acc[key].push(item);
-    return acc;
-  }, {});
+// Scenarios, the current profile and the drag order refer to origins by name
+async function renameOriginReferences(context, oldName, newName) {
+  const scenarios = getScenarios();
+  if (scenarios.some(s => Object.values(s.targets).includes(oldName))) {
+    await setScenarios(scenarios.map(s => ({
+      ...s,
+      targets: Object.fromEntries(
+        Object.entries(s.targets).map(([key, value]) => [key, value === oldName ? newName : value])
+      )
+    })));
+  }
+  if (getCurrentProfileName() === oldName) {
+    await setCurrentProfile(newName);
+  }
+  const targetSets = getTargetSets();
+  if (targetSets.some(s => Array.isArray(s.profiles) && s.profiles.includes(oldName))) {
+    await setTargetSets(targetSets.map(s => ({
+      ...s,
+      ...(Array.isArray(s.profiles) ? { profiles: s.profiles.map(n => (n === oldName ? newName : n)) } : {})
+    })));
+  }
+  const order = getProfileOrder(context);
+  if (order.includes(oldName)) {
+    await setProfileOrder(context, order.map(n => (n === oldName ? newName : n)));
+  }
 }
 
-async function pickTargetFile() {
-  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
-  const fileGlob = config.get('fileGlob') || '**/{proxy-url-list.json,proxy-url-list-new.json}';
-  const uris = await vscode.workspace.findFiles(fileGlob, '**/{node_modules,dist,build,out,.git}/**', 20);
-  if (!uris.length) {
-    vscode.window.showErrorMessage(`未找到文件：${fileGlob}`);
-    return null;
+/**
+ * Rewrites every profile, in the user settings and in each team file. `transform`
+ * returns the new profile, or null to delete it.
+ */
+async function rewriteProfiles(transform) {
+  const teamFiles = [...new Set(teamProfiles.map(p => p.teamFile))];
+  for (const file of teamFiles) {
+    const uri = vscode.Uri.parse(file);
+    const list = extractTeamProfiles(parseJsonText(await readDiskText(uri), uri));
+    const next = list.map(p => transform({ ...p })).filter(Boolean);
+    if (JSON.stringify(next) !== JSON.stringify(list)) await writeTeamProfiles(uri, next);
   }
-  if (uris.length === 1) return uris[0];
+  if (teamFiles.length) await loadTeamProfiles();
 
-  const items = uris.map(u => ({ label: vscode.workspace.asRelativePath(u), uri: u }));
-  const picked = await vscode.window.showQuickPick(items, { placeHolder: '选择要更新的配置文件' });
-  return picked?.uri || null;
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const profiles = config.get('profiles') || [];
+  const next = profiles.map(p => (p && p.name ? transform({ ...p }) : p)).filter(Boolean);
+  if (JSON.stringify(next) !== JSON.stringify(profiles)) {
+    await config.update('profiles', next, vscode.ConfigurationTarget.Global);
+  }
 }
 
-async function readJson(uri) {
-  const bytes = await vscode.workspace.fs.readFile(uri);
-  const text = Buffer.from(bytes).toString('utf8');
-  try {
-    return JSON.parse(text);
-  } catch {
-    throw new Error(`JSON 解析失败：${vscode.workspace.asRelativePath(uri)}`);
+// Carries a renamed group's position, icon and colour over, at every level they are set
+async function renameGroupInSettings(oldName, newName) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  for (const key of ['groupOrder', 'groupIcons', 'groupColors']) {
+    const inspected = config.inspect(key);
+    const levels = [
+      [inspected?.globalValue, vscode.ConfigurationTarget.Global],
+      [inspected?.workspaceValue, vscode.ConfigurationTarget.Workspace]
+    ];
+    for (const [value, target] of levels) {
+      if (Array.isArray(value) && value.some(g => normalizeGroup(g) === oldName)) {
+        await config.update(key, value.map(g => (normalizeGroup(g) === oldName ? newName : g)), target);
+      } else if (isPlainObject(value)) {
+        const stored = Object.keys(value).find(g => normalizeGroup(g) === oldName);
+        if (stored === undefined) continue;
+        const { [stored]: moved, ...rest } = value;
+        await config.update(key, { ...rest, [newName]: moved }, target);
+      }
+    }
   }
 }
 
-async function writeJson(uri, data) {
-  const text = JSON.stringify(data, null, 2) + '\n';
-  await vscode.workspace.fs.writeFile(uri, Buffer.from(text, 'utf8'));
+// Per-group settings written before the default group had an id may still use the old name
+function getGroupSetting(values, group) {
+  if (group in values) return values[group];
+  return group === DEFAULT_GROUP ? values[LEGACY_DEFAULT_GROUP] : undefined;
 }
 
-function applyOriginToMap(mapObj, origin, onlyKeys) {
-  const out = { ...mapObj };
-  const changed = [];
-  const originUrl = new URL(origin);
-  Object.entries(out).forEach(([key, value]) => {
-    if (Array.isArray(onlyKeys) && onlyKeys.length && !onlyKeys.includes(key)) return;
-    if (typeof value !== 'string') return;
-    let url;
-    try {
-      url = new URL(value);
-    } catch {
-      return;
-    }
-    const next = new URL(url.toString());
-    next.protocol = originUrl.protocol;
-    next.hostname = originUrl.hostname;
-    if (originUrl.port) next.port = originUrl.port;
-    const nextValue = next.toString().replace(/\/$/, '');
-    if (nextValue !== value) {
-      out[key] = nextValue;
-      changed.push(key);
-    }
-  });
-  return { out, changed };
+function getGroupIcon(group) {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const icons = config.get('groupIcons') || {};
+  const color = getGroupColor(group);
+  // ThemeIcon only takes theme colours, #rrggbb stays status-bar only
+  return new vscode.ThemeIcon(getGroupSetting(icons, group) || 'folder', color instanceof vscode.ThemeColor ? color : undefined);
 }
 
-async function applyOrigin(origin, selectedTargets) {
-  const normalized = normalizeOrigin(origin);
-  if (!normalized) {
-    vscode.window.showErrorMessage('地址不合法');
-    return;
-  }
-  if (!hasExplicitPort(normalized)) {
-    vscode.window.showErrorMessage('端口不能为空，例如 10.8.150.33:7002');
-    return;
-  }
+function isGroupCollapsed(context, group) {
+  const collapsed = context.workspaceState.get(STATE_COLLAPSED_GROUPS) || [];
+  return collapsed.includes(group);
+}
 
-  const uri = await pickTargetFile();
-  if (!uri) return;
+async function setGroupCollapsed(context, group, isCollapsed) {
+  const collapsed = (context.workspaceState.get(STATE_COLLAPSED_GROUPS) || []).filter(g => g !== group);
+  await context.workspaceState.update(STATE_COLLAPSED_GROUPS, isCollapsed ? [...collapsed, group] : collapsed);
+}
 
-  let json;
-  try {
-    json = await readJson(uri);
-  } catch (e) {
-    vscode.window.showErrorMessage(e.message || String(e));
-    return;
-  }
+async function pickProfileGroup(current) {
+  const groups = [...new Set([DEFAULT_GROUP, ...getProfiles().map(getProfileGroup)])];
+  const picked = await vscode.window.showQuickPick(
+    [
+      ...groups.map(g => ({ label: formatGroupName(g), description: g === current ? vscode.l10n.t('Current') : '', group: g })),
+      { label: vscode.l10n.t('$(add) New Group…'), create: true }
+    ],
+    { placeHolder: vscode.l10n.t('Select a group') }
+  );
+  if (!picked) return null;
+  if (!picked.create) return picked.group;
+  const group = await vscode.window.showInputBox({ prompt: vscode.l10n.t('Enter the new group name') });
+  return group && group.trim() ? parseGroupName(group) : null;
+}
 
-  const { out, changed } = applyOriginToMap(json, normalized, selectedTargets);
-  await writeJson(uri, out);
+/**
+ * Drops dragged origin nodes before `target`, or at the end when dropped on a section or group.
+ * Dropping a profile onto a group, or a profile of another group, moves it into that group.
+ * Only reorders within one section; returns false when nothing moved.
+ */
+async function moveOrigins(context, nodes, target) {
+  const sectionId = target instanceof SectionNode
+    ? target.id
+    : target instanceof OriginNode || target instanceof GroupNode ? target.sectionId : null;
+  const moving = nodes.filter(n => n instanceof OriginNode && n.sectionId === sectionId && n !== target);
+  if (!moving.length) return false;
+
+  if (sectionId === 'custom') {
+    const origins = new Set(moving.map(n => n.origin));
+    const list = getCustomOrigins(context);
+    const rest = list.filter(o => !origins.has(o.origin));
+    const index = target instanceof OriginNode ? rest.findIndex(o => o.origin === target.origin) : -1;
+    rest.splice(index === -1 ? rest.length : index, 0, ...list.filter(o => origins.has(o.origin)));
+    await context.workspaceState.update(STATE_CUSTOM_ORIGINS, rest);
+    return true;
+  }
 
-  const fileName = vscode.workspace.asRelativePath(uri);
-  const changedText = changed.length ? `，更新 ${changed.length} 项` : '，无变化';
-  vscode.window.showInformationMessage(`已应用 ${normalized} 到 ${fileName}${changedText}`);
-}
+  if (sectionId === 'standard') {
+    const names = new Set(moving.map(n => n.name));
+    const targetProfile = target instanceof OriginNode ? getProfiles().find(p => p.name === target.name) : null;
+    const targetGroup = target instanceof GroupNode ? target.group : targetProfile && getProfileGroup(targetProfile);
+    if (targetGroup) {
+      const group = targetGroup;
+      for (const profile of getProfiles().filter(p => names.has(p.name))) {
+        if (getProfileGroup(profile) !== group) {
+          await updateStandardProfile(profile.name, { group: toStoredGroup(group) });
+        }
+      }
+    }
+    const sorted = sortProfiles(context, getProfiles()).map(p => p.name);
+    const rest = sorted.filter(n => !names.has(n));
+    const index = targetProfile ? rest.indexOf(targetProfile.name) : -1;
+    rest.splice(index === -1 ? rest.length : index, 0, ...sorted.filter(n => names.has(n)));
+    await setProfileOrder(context, rest);
+    return true;
+  }
 
-function getProfiles() {
-  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
-  const profiles = config.get('profiles') || [];
-  return Array.isArray(profiles) ? profiles : [];
+  return false;
 }
 
 async function setCurrentProfile(name) {
@@ -153,67 +1676,259 @@ function getCurrentProfileName() {
   return config.get('currentProfile') || '';
 }
 
-async function findTargetFileForView() {
-  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
-  const fileGlob = config.get('fileGlob') || '**/{proxy-url-list.json,proxy-url-list-new.json}';
-  const uris = await vscode.workspace.findFiles(fileGlob, '**/{node_modules,dist,build,out,.git}/**', 20);
-  
-  if (uris.length === 0) return null;
-  if (uris.length === 1) return uris[0];
+/**
+ * Problems of the URL values in a proxy file: unparseable addresses, missing ports,
+ * origins no profile knows, and targets defined more than once.
+ */
+function getProxyDiagnostics(context, document) {
+  let entries;
+  try {
+    entries = locateProxyStrings(document.getText(), document.uri);
+  } catch {
+    return [];
+  }
+  const localOrigins = new Set(Array.from(localProxies.values(), e => `http://${LOCAL_PROXY_HOST}:${e.port}`));
+  const format = getFormatHandler(document.uri).id;
+  const seen = new Set();
+  const diagnostics = [];
+  const report = (entry, message, severity) => {
+    const range = new vscode.Range(document.positionAt(entry.start), document.positionAt(entry.end));
+    const diagnostic = new vscode.Diagnostic(range, message, severity);
+    diagnostic.source = 'Proxy URL Switcher';
+    diagnostics.push(diagnostic);
+  };
+  entries.forEach(entry => {
+    if (isUrlValue(entry.value)) {
+      // Both branches of a ternary legitimately share a path in scripts
+      if (seen.has(entry.pointer) && format !== 'script') {
+        report(
+          entry,
+          vscode.l10n.t('Target {0} is defined more than once, the last definition wins when switching', formatTargetLabel(entry.pointer)),
+          vscode.DiagnosticSeverity.Warning
+        );
+      }
+      seen.add(entry.pointer);
+      const origin = normalizeOrigin(entry.value);
+      if (!hasExplicitPort(origin)) {
+        report(entry, vscode.l10n.t('The address has no port, e.g. http://10.8.150.33:7002'), vscode.DiagnosticSeverity.Warning);
+      } else if (!localOrigins.has(origin) && !findOriginName(context, origin)) {
+        report(entry, vscode.l10n.t('{0} does not belong to any configured environment', origin), vscode.DiagnosticSeverity.Information);
+      }
+    } else if (looksLikeUrl(entry.value)) {
+      // Key/value files also hold non-HTTP addresses such as REDIS=redis:6379, so only JSON treats them as mistakes
+      const severity = format === 'json' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Information;
+      report(entry, vscode.l10n.t('Unparseable address, skipped when switching: {0}', entry.value), severity);
+    }
+  });
+  return diagnostics;
+}
+
+function findProxyStringAt(document, position) {
+  try {
+    const offset = document.offsetAt(position);
+    return locateProxyStrings(document.getText(), document.uri)
+      .find(entry => offset >= entry.start && offset <= entry.end) || null;
+  } catch {
+    return null;
+  }
+}
+
+function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 16 * 1024 * 1024 }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+  });
+}
+
+async function readGitBaseline(uri) {
+  if (uri.scheme !== 'file') return null;
+  try {
+    const text = await runGit(['show', `HEAD:./${path.basename(uri.fsPath)}`], path.dirname(uri.fsPath));
+    return { text, map: parseProxyText(text, uri) };
+  } catch {
+    // Untracked, outside git, or the committed version does not parse
+    return null;
+  }
+}
+
+// Targets whose URL differs from the committed version of the file
+function getBaselineDrift(uri, map) {
+  const baseline = baselines.get(uri.toString());
+  if (!baseline || !map) return [];
+  const committed = new Map(collectUrlTargets(baseline.map).map(t => [t.pointer, t.value]));
+  return collectUrlTargets(map)
+    .filter(t => committed.has(t.pointer) && committed.get(t.pointer) !== t.value)
+    .map(t => t.pointer);
+}
+
+/**
+ * Hides switched files from `git status` while they differ from the baseline and
+ * un-hides them once restored; with `enabled` false every flag is cleared.
+ */
+async function syncSkipWorktree(files, enabled) {
+  for (const { uri, map } of files) {
+    if (uri.scheme !== 'file' || !baselines.get(uri.toString())) continue;
+    const key = uri.toString();
+    const cwd = path.dirname(uri.fsPath);
+    const name = path.basename(uri.fsPath);
+    try {
+      if (!skipWorktreeFlags.has(key)) {
+        // `ls-files -v` marks skip-worktree entries with an `S`
+        skipWorktreeFlags.set(key, (await runGit(['ls-files', '-v', '--', name], cwd)).startsWith('S'));
+      }
+      const wanted = enabled && getBaselineDrift(uri, map).length > 0;
+      if (skipWorktreeFlags.get(key) === wanted) continue;
+      await runGit(['update-index', wanted ? '--skip-worktree' : '--no-skip-worktree', '--', name], cwd);
+      skipWorktreeFlags.set(key, wanted);
+    } catch (e) {
+      vscode.window.showWarningMessage(
+        vscode.l10n.t('Cannot update the skip-worktree flag of {0}: {1}', vscode.workspace.asRelativePath(uri), e.message)
+      );
+    }
+  }
+}
 
-  // Prefer proxy-url-list-new.json if multiple found
-  const preferred = uris.find(u => u.path.endsWith('proxy-url-list-new.json'));
-  return preferred || uris[0];
+function isSkipWorktreeEnabled() {
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  return config.get('baseline.skipWorktree') === true;
 }
 
-async function loadProxyMapForView() {
-  const uri = await findTargetFileForView();
-  if (!uri) return { uri: null, map: null };
+async function loadProxyMapForView(uri) {
   try {
-    const map = await readJson(uri);
+    baselines.set(uri.toString(), await readGitBaseline(uri));
+    viewDiskTexts.set(uri.toString(), await readDiskText(uri));
+    const map = await readProxyMap(uri);
     return { uri, map };
   } catch {
     return { uri, map: null };
   }
 }
 
+async function loadProxyFilesForView() {
+  const uris = await findTargetFiles();
+  return Promise.all(uris.map(loadProxyMapForView));
+}
+
+// Target keys are JSON pointers to the URL-bearing leaves of the map
 function getTargetKeys(map) {
   if (!map || typeof map !== 'object') return [];
-  return Object.keys(map).sort();
+  return collectUrlTargets(map)
+    .map(t => t.pointer)
+    .sort();
 }
 
-function getSelectedTargets(context, map) {
+// Selections are stored per file uri; older versions kept one array for the whole workspace,
+// which is now the `*` fallback for files without their own selection
+function getSavedSelections(context) {
   const saved = context.workspaceState.get(STATE_SELECTED_TARGETS);
+  if (Array.isArray(saved)) return { '*': saved };
+  return isPlainObject(saved) ? saved : {};
+}
+
+// A file's own empty selection means none; the legacy fallback treats empty as all
+function getSelectedTargets(context, uri, map) {
+  const saved = getSavedSelections(context);
+  const own = saved[uri.toString()];
+  const forFile = Array.isArray(own) ? own : saved['*'];
   const allKeys = getTargetKeys(map);
-  if (!Array.isArray(saved) || !saved.length) return allKeys;
-  const set = new Set(saved);
+  if (!Array.isArray(forFile) || (!Array.isArray(own) && !forFile.length)) return allKeys;
+  const set = new Set(forFile.flatMap(toTargetPointers));
   return allKeys.filter(k => set.has(k));
 }
 
-async function setSelectedTargets(context, targets) {
+async function setSelectedTargets(context, uri, targets) {
   const unique = Array.from(new Set(Array.isArray(targets) ? targets : [])).sort();
-  await context.workspaceState.update(STATE_SELECTED_TARGETS, unique);
+  const saved = { ...getSavedSelections(context), [uri.toString()]: unique };
+  await context.workspaceState.update(STATE_SELECTED_TARGETS, saved);
 }
 
-function isTargetSelected(context, key, map) {
-  const selected = getSelectedTargets(context, map);
+function isTargetSelected(context, uri, key, map) {
+  const selected = getSelectedTargets(context, uri, map);
   return selected.includes(key);
 }
 
-async function toggleTargetKey(context, key, map) {
+async function setTargetChecked(context, uri, key, map, checked) {
   const allKeys = getTargetKeys(map);
-  const current = getSelectedTargets(context, map);
-  const set = new Set(current);
-  if (set.has(key)) {
-    set.delete(key);
-  } else {
+  const set = new Set(getSelectedTargets(context, uri, map));
+  if (checked) {
     set.add(key);
+  } else {
+    set.delete(key);
   }
   const next = allKeys.filter(k => set.has(k));
-  await setSelectedTargets(context, next);
+  await setSelectedTargets(context, uri, next);
   return next;
 }
 
+async function toggleTargetKey(context, uri, key, map) {
+  return setTargetChecked(context, uri, key, map, !isTargetSelected(context, uri, key, map));
+}
+
+// Origins the selected targets of the loaded files actually point at, most used first
+function getActiveEnvironment(context, files) {
+  const counts = new Map();
+  files.forEach(({ uri, map }) => {
+    if (!map) return;
+    const selected = new Set(getSelectedTargets(context, uri, map));
+    collectUrlTargets(map)
+      .filter(t => selected.has(t.pointer))
+      .forEach(t => {
+        // Proxied targets are in use wherever their upstream points
+        const origin = normalizeOrigin(localProxies.get(getLocalProxyKey(uri, t.pointer))?.upstream ?? t.value);
+        if (origin) counts.set(origin, (counts.get(origin) || 0) + 1);
+      });
+  });
+  const origins = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+  return { origins, mixed: origins.length > 1, counts };
+}
+
+function findOriginName(context, value) {
+  const origin = normalizeOrigin(value);
+  return getAllOrigins(context).find(o => o.origin === origin)?.name || '';
+}
+
+// Group colours are theme color ids (e.g. `charts.red`) or literal `#rrggbb` values
+function getGroupColor(group) {
+  if (!group) return undefined;
+  const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+  const colors = { ...DEFAULT_GROUP_COLORS, ...(config.get('groupColors') || {}) };
+  const color = getGroupSetting(colors, group);
+  if (!color) return undefined;
+  return color.startsWith('#') ? color : new vscode.ThemeColor(color);
+}
+
+function updateStatusBar(item, context, files) {
+  if (!files.length) {
+    item.hide();
+    return;
+  }
+  const active = getActiveEnvironment(context, files);
+  const origins = getAllOrigins(context);
+  const describe = origin => {
+    const named = origins.find(o => o.origin === origin);
+    return named ? vscode.l10n.t('{0} ({1})', named.name, origin) : origin;
+  };
+
+  item.backgroundColor = undefined;
+  item.color = undefined;
+  if (active.mixed) {
+    item.text = vscode.l10n.t('$(server-environment) Mixed ({0})', active.origins.length);
+    item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+  } else if (active.origins.length) {
+    const [origin] = active.origins;
+    const named = origins.find(o => o.origin === origin);
+    item.text = `$(server-environment) ${named ? named.name : origin}`;
+    item.color = getGroupColor(named && named.source !== 'custom' ? getProfileGroup(named) : undefined);
+  } else {
+    item.text = vscode.l10n.t('$(server-environment) Unknown');
+  }
+  item.tooltip = [
+    ...active.origins.map(o => vscode.l10n.t('{0}: {1} items', describe(o), active.counts.get(o))),
+    vscode.l10n.t('Files: {0}', joinList(files.map(f => vscode.workspace.asRelativePath(f.uri)))),
+    vscode.l10n.t('Click to switch the environment')
+  ].join('\n');
+  item.show();
+}
+
 class SectionNode {
   constructor(id, label) {
     this.id = id;
@@ -222,17 +1937,19 @@ class SectionNode {
 }
 
 class GroupNode {
-  constructor(sectionId, label) {
+  constructor(sectionId, group) {
     this.sectionId = sectionId;
-    this.label = label;
+    this.group = group;
+    this.label = formatGroupName(group);
   }
 }
 
 class OriginNode {
-  constructor(sectionId, name, origin) {
+  constructor(sectionId, name, origin, scope) {
     this.sectionId = sectionId;
     this.name = name;
     this.origin = origin;
+    this.scope = scope;
   }
 }
 
@@ -243,23 +1960,81 @@ class ActionNode {
   }
 }
 
+class FolderNode {
+  constructor(folder) {
+    this.folder = folder;
+  }
+}
+
+class FileNode {
+  constructor(uri, map) {
+    this.uri = uri;
+    this.map = map;
+  }
+}
+
 class TargetNode {
-  constructor(key, value) {
+  constructor(uri, key, value) {
+    this.uri = uri;
     this.key = key;
     this.value = value;
   }
 }
 
+class LocalProxyNode {
+  constructor(key) {
+    this.key = key;
+  }
+}
+
+class ScenarioNode {
+  constructor(scenario) {
+    this.scenario = scenario;
+  }
+}
+
+class HistoryNode {
+  constructor(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
+
 class ProxyUrlTreeDataProvider {
   constructor(context) {
     this.context = context;
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
-    this.latest = { uri: null, map: null };
+    this.files = [];
+    this.loaded = false;
   }
 
   async reload() {
-    this.latest = await loadProxyMapForView();
+    this.files = await loadProxyFilesForView();
+    this.loaded = true;
+    if (isSkipWorktreeEnabled()) await syncSkipWorktree(this.files, true);
+  }
+
+  // Loaded files that no longer match their committed version
+  getDriftedFiles() {
+    return this.files.filter(f => getBaselineDrift(f.uri, f.map).length);
+  }
+
+  findFile(uri) {
+    const key = uri.toString();
+    return this.files.find(f => f.uri.toString() === key) || null;
+  }
+
+  getFileNodes(files) {
+    return files.map(f => new FileNode(f.uri, f.map));
+  }
+
+  getTargetNodes(uri, map) {
+    if (!map) {
+      return [new ActionNode(vscode.l10n.t('No proxy config loaded (click to refresh)'), 'proxyUrlSwitcher.refreshView')];
+    }
+    return collectUrlTargets(map)
+      .sort((a, b) => a.pointer.localeCompare(b.pointer))
+      .map(t => new TargetNode(uri, t.pointer, t.value));
   }
 
   refresh() {
@@ -273,20 +2048,85 @@ class ProxyUrlTreeDataProvider {
       item.contextValue = element.id; // default, standard, custom, targets
       if (element.id === 'standard') item.iconPath = new vscode.ThemeIcon('server');
       else if (element.id === 'custom') item.iconPath = new vscode.ThemeIcon('beaker');
-      else if (element.id === 'targets') item.iconPath = new vscode.ThemeIcon('target');
+      else if (element.id === 'targets') {
+        item.iconPath = new vscode.ThemeIcon('target');
+        const active = getActiveEnvironment(this.context, this.files);
+        if (active.mixed) {
+          item.description = vscode.l10n.t('Mixed: {0} addresses', active.origins.length);
+          item.tooltip = active.origins
+            .map(o => vscode.l10n.t('{0} ({1} items)', findOriginName(this.context, o) || o, active.counts.get(o)))
+            .join('\n');
+        } else if (active.origins.length) {
+          item.description = findOriginName(this.context, active.origins[0]) || active.origins[0];
+        }
+        const targetSet = findActiveTargetSet(this.context, this.files);
+        if (targetSet) {
+          item.description = [item.description, vscode.l10n.t('Target set: {0}', targetSet.name)].filter(Boolean).join(' · ');
+        }
+        const drifted = this.getDriftedFiles();
+        if (drifted.length) {
+          const drift = this.files.length === 1
+            ? vscode.l10n.t('Differs from the baseline')
+            : vscode.l10n.t('{0} files differ from the baseline', drifted.length);
+          item.description = [item.description, drift]
+            .filter(Boolean).join(' · ');
+          item.contextValue = 'targetsDrifted';
+        }
+      }
+      else if (element.id === 'scenarios') item.iconPath = new vscode.ThemeIcon('layers');
+      else if (element.id === 'localProxy') {
+        item.iconPath = new vscode.ThemeIcon('radio-tower');
+        item.collapsibleState = localProxies.size
+          ? vscode.TreeItemCollapsibleState.Expanded
+          : vscode.TreeItemCollapsibleState.Collapsed;
+        item.contextValue = localProxies.size ? 'localProxyRunning' : 'localProxy';
+        item.description = localProxies.size ? vscode.l10n.t('Running: {0} ports', localProxies.size) : vscode.l10n.t('Stopped');
+      }
+      else if (element.id === 'history') {
+        item.iconPath = new vscode.ThemeIcon('history');
+        item.collapsibleState = vscode.TreeItemCollapsibleState.Collapsed;
+      }
       return item;
     }
 
     if (element instanceof GroupNode) {
-      const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.Expanded);
-      item.id = `${element.sectionId}:${element.label}`;
-      item.iconPath = new vscode.ThemeIcon('folder');
+      const item = new vscode.TreeItem(
+        element.label,
+        isGroupCollapsed(this.context, element.group)
+          ? vscode.TreeItemCollapsibleState.Collapsed
+          : vscode.TreeItemCollapsibleState.Expanded
+      );
+      item.id = `${element.sectionId}:${element.group}`;
+      item.contextValue = 'profileGroup';
+      item.iconPath = getGroupIcon(element.group);
+      const profiles = getProfiles().filter(p => getProfileGroup(p) === element.group);
+      const active = getActiveEnvironment(this.context, this.files);
+      const inUse = profiles.some(p => active.origins.includes(normalizeOrigin(p.origin)));
+      item.description = [vscode.l10n.t('{0} addresses', profiles.length), inUse ? vscode.l10n.t('Current') : ''].filter(Boolean).join(' · ');
       return item;
     }
 
     if (element instanceof OriginNode) {
-      const item = new vscode.TreeItem(element.name, vscode.TreeItemCollapsibleState.None);
-      item.description = element.origin;
+      const active = getActiveEnvironment(this.context, this.files);
+      const inUse = active.origins.includes(element.origin);
+      const name = String(element.name);
+      const item = new vscode.TreeItem(
+        inUse ? { label: name, highlights: [[0, name.length]] } : name,
+        vscode.TreeItemCollapsibleState.None
+      );
+      const health = formatHealth(element.origin);
+      item.description = [
+        element.origin,
+        element.scope === 'team' ? vscode.l10n.t('Team') : '',
+        inUse ? (active.mixed ? vscode.l10n.t('Partly in use') : vscode.l10n.t('Current')) : '',
+        health
+      ].filter(Boolean).join(' · ');
+      if (element.scope) {
+        const source = element.scope === 'team'
+          ? vscode.l10n.t('Team profiles ({0})', getTeamProfilesPath())
+          : vscode.l10n.t('User settings');
+        item.tooltip = `${element.name}\n${element.origin}\n${vscode.l10n.t('Source: {0}', source)}`;
+      }
       // Set distinct contextValue for menu contribution
       if (element.sectionId === 'standard') {
         item.contextValue = 'standardProfileItem';
@@ -298,6 +2138,17 @@ class ProxyUrlTreeDataProvider {
         item.contextValue = 'originNode';
         item.iconPath = new vscode.ThemeIcon('link');
       }
+      const status = healthStatus.get(element.origin);
+      if (status?.state === 'checking') {
+        item.iconPath = new vscode.ThemeIcon('sync~spin');
+      } else if (status?.state === 'up') {
+        item.iconPath = new vscode.ThemeIcon('pass-filled', new vscode.ThemeColor('testing.iconPassed'));
+      } else if (status?.state === 'down') {
+        item.iconPath = new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
+      }
+      if (status?.checkedAt) {
+        item.tooltip = `${element.name}\n${element.origin}\n${formatHealth(element.origin)} · ${formatTimestamp(status.checkedAt)}`;
+      }
       item.command = {
         command: 'proxyUrlSwitcher.applyOriginFromView',
         title: 'apply',
@@ -313,35 +2164,128 @@ class ProxyUrlTreeDataProvider {
       return item;
     }
 
+    if (element instanceof FolderNode) {
+      const item = new vscode.TreeItem(element.folder.name, vscode.TreeItemCollapsibleState.Expanded);
+      item.id = `folder:${element.folder.uri.toString()}`;
+      item.iconPath = new vscode.ThemeIcon('root-folder');
+      return item;
+    }
+
+    if (element instanceof FileNode) {
+      const item = new vscode.TreeItem(
+        vscode.workspace.asRelativePath(element.uri, false),
+        vscode.TreeItemCollapsibleState.Expanded
+      );
+      item.id = `file:${element.uri.toString()}`;
+      item.resourceUri = element.uri;
+      item.tooltip = vscode.workspace.asRelativePath(element.uri);
+      item.description = element.map ? vscode.l10n.t('{0} targets', getTargetKeys(element.map).length) : vscode.l10n.t('Parse failed');
+      item.contextValue = 'proxyFileItem';
+      const drift = getBaselineDrift(element.uri, element.map);
+      if (drift.length) {
+        item.description += ` · ${vscode.l10n.t('{0} differ from the baseline', drift.length)}`;
+        item.contextValue = 'proxyFileItemDrifted';
+      }
+      item.checkboxState = isFileIncluded(this.context, element.uri)
+        ? vscode.TreeItemCheckboxState.Checked
+        : vscode.TreeItemCheckboxState.Unchecked;
+      return item;
+    }
+
     if (element instanceof TargetNode) {
-      const item = new vscode.TreeItem(element.key, vscode.TreeItemCollapsibleState.None);
-      item.description = element.value;
+      const item = new vscode.TreeItem(formatTargetLabel(element.key), vscode.TreeItemCollapsibleState.None);
+      item.id = `target:${element.uri.toString()}#${element.key}`;
+      const proxy = localProxies.get(getLocalProxyKey(element.uri, element.key));
+      const shownValue = proxy ? proxy.upstream : element.value;
+      const profileName = findOriginName(this.context, shownValue);
+      item.description = profileName ? `[${profileName}] ${shownValue}` : shownValue;
+      if (proxy) item.description = `${item.description} · ${vscode.l10n.t('Local proxy :{0}', proxy.port)}`;
+      item.tooltip = `${element.key}\n${element.value}`;
       item.contextValue = 'targetNode';
       item.iconPath = new vscode.ThemeIcon('symbol-interface', new vscode.ThemeColor('charts.blue'));
-      item.checkboxState = isTargetSelected(this.context, element.key, this.latest.map)
+      const file = this.findFile(element.uri);
+      if (getBaselineDrift(element.uri, file?.map).includes(element.key)) {
+        const committed = collectUrlTargets(baselines.get(element.uri.toString()).map).find(t => t.pointer === element.key);
+        item.tooltip += `\n${vscode.l10n.t('Baseline (committed): {0}', committed.value)}`;
+        item.iconPath = new vscode.ThemeIcon('symbol-interface', new vscode.ThemeColor('list.warningForeground'));
+      }
+      item.checkboxState = isTargetSelected(this.context, element.uri, element.key, file?.map)
         ? vscode.TreeItemCheckboxState.Checked
         : vscode.TreeItemCheckboxState.Unchecked;
       item.command = {
         command: 'proxyUrlSwitcher.toggleTarget',
         title: 'toggle',
-        arguments: [element.key]
+        arguments: [element.key, element.uri.toString()]
+      };
+      return item;
+    }
+
+    if (element instanceof LocalProxyNode) {
+      const entry = localProxies.get(element.key);
+      const item = new vscode.TreeItem(formatTargetLabel(entry.pointer), vscode.TreeItemCollapsibleState.None);
+      const upstreamName = entry.profileName || findOriginName(this.context, entry.upstream) || entry.upstream;
+      item.description = `:${entry.port} → ${upstreamName}`;
+      item.tooltip = [
+        vscode.workspace.asRelativePath(vscode.Uri.parse(entry.file)),
+        `${LOCAL_PROXY_HOST}:${entry.port} → ${entry.upstream}`,
+        vscode.l10n.t('Forwarded {0} requests', entry.requests)
+      ].join('\n');
+      item.contextValue = 'localProxyItem';
+      item.iconPath = new vscode.ThemeIcon('arrow-swap', new vscode.ThemeColor('charts.green'));
+      item.command = { command: 'proxyUrlSwitcher.showLocalProxyLog', title: 'log' };
+      return item;
+    }
+
+    if (element instanceof ScenarioNode) {
+      const { scenario } = element;
+      const entries = Object.entries(scenario.targets);
+      const item = new vscode.TreeItem(scenario.name, vscode.TreeItemCollapsibleState.None);
+      item.description = vscode.l10n.t('{0} targets', entries.length);
+      item.tooltip = entries.map(([key, value]) => `${formatTargetLabel(toTargetPointer(key))} → ${value}`).join('\n');
+      item.contextValue = 'scenarioItem';
+      item.iconPath = new vscode.ThemeIcon('layers', new vscode.ThemeColor('charts.purple'));
+      item.command = {
+        command: 'proxyUrlSwitcher.applyScenario',
+        title: 'apply',
+        arguments: [scenario.name]
       };
       return item;
     }
 
+    if (element instanceof HistoryNode) {
+      const { snapshot } = element;
+      const label = snapshot.profileName || snapshot.origin || vscode.l10n.t('Unknown address');
+      const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+      const fileName = vscode.workspace.asRelativePath(vscode.Uri.parse(snapshot.file));
+      item.description = `${formatTimestamp(snapshot.timestamp)} · ${fileName}`;
+      item.tooltip = [
+        vscode.l10n.t('File: {0}', fileName),
+        vscode.l10n.t('Time: {0}', formatTimestamp(snapshot.timestamp)),
+        vscode.l10n.t('Switched to: {0}', snapshot.origin || '-'),
+        vscode.l10n.t('Before: {0}', snapshot.previousOrigin || '-'),
+        vscode.l10n.t('Changes: {0}', joinList(snapshot.changed || []) || '-')
+      ].join('\n');
+      item.contextValue = 'historyItem';
+      item.iconPath = new vscode.ThemeIcon('history');
+      return item;
+    }
+
     return new vscode.TreeItem('');
   }
 
   async getChildren(element) {
-    if (!this.latest.uri) {
+    if (!this.loaded) {
       await this.reload();
     }
 
     if (!element) {
       return [
-        new SectionNode('standard', '标准版地址'),
-        new SectionNode('custom', '自定义地址'),
-        new SectionNode('targets', '代理对象')
+        new SectionNode('standard', vscode.l10n.t('Standard Addresses')),
+        new SectionNode('custom', vscode.l10n.t('Custom Addresses')),
+        new SectionNode('scenarios', vscode.l10n.t('Scenarios')),
+        new SectionNode('targets', vscode.l10n.t('Proxy Targets')),
+        new SectionNode('localProxy', vscode.l10n.t('Local Proxy')),
+        new SectionNode('history', vscode.l10n.t('History'))
       ];
     }
 
@@ -352,31 +2296,11 @@ class ProxyUrlTreeDataProvider {
           .filter(p => p.origin);
 
         if (!profiles.length) {
-          return [new ActionNode('未配置标准版地址（点击这里输入地址）', 'proxyUrlSwitcher.setHostPort')];
+          return [new ActionNode(vscode.l10n.t('No standard addresses configured (click to enter an address)'), 'proxyUrlSwitcher.setHostPort')];
         }
 
-        // Flattened list, sorted by group priority then name
-        return profiles.sort((a, b) => {
-          const groupOrder = ['dev', 'SIT', 'UAT', '标准版'];
-          const ga = a.group || '标准版';
-          const gb = b.group || '标准版';
-          
-          const ia = groupOrder.indexOf(ga);
-          const ib = groupOrder.indexOf(gb);
-          
-          if (ia !== -1 && ib !== -1) {
-            if (ia !== ib) return ia - ib;
-          } else if (ia !== -1) {
-            return -1;
-          } else if (ib !== -1) {
-            return 1;
-          } else {
-            const compareGroup = ga.localeCompare(gb);
-            if (compareGroup !== 0) return compareGroup;
-          }
-          
-          return String(a.name || '').localeCompare(String(b.name || ''), 'zh-CN');
-        }).map(p => new OriginNode('standard', p.name, p.origin));
+        const groups = [...new Set(profiles.map(getProfileGroup))].sort(compareGroups);
+        return groups.map(g => new GroupNode('standard', g));
       }
 
       if (element.id === 'custom') {
@@ -391,43 +2315,403 @@ class ProxyUrlTreeDataProvider {
               return new OriginNode('custom', o.name || o.origin, o.origin);
             })
           : [];
-        return [new ActionNode('添加自定义地址…', 'proxyUrlSwitcher.addCustomOrigin'), ...nodes];
+        return [new ActionNode(vscode.l10n.t('Add Custom Address…'), 'proxyUrlSwitcher.addCustomOrigin'), ...nodes];
       }
 
       if (element.id === 'targets') {
-        const map = this.latest.map;
-        if (!map) {
-          return [new ActionNode('未读取到代理配置（点击刷新）', 'proxyUrlSwitcher.refreshView')];
+        if (!this.files.length) {
+          return [new ActionNode(vscode.l10n.t('No proxy config file found (click to refresh)'), 'proxyUrlSwitcher.refreshView')];
+        }
+        // A single file keeps the flat list of targets
+        if (this.files.length === 1) {
+          const [file] = this.files;
+          return this.getTargetNodes(file.uri, file.map);
+        }
+        const folders = vscode.workspace.workspaceFolders || [];
+        if (folders.length > 1) {
+          const byFolder = groupBy(this.files, f => vscode.workspace.getWorkspaceFolder(f.uri)?.uri.toString());
+          return folders.filter(f => byFolder[f.uri.toString()]).map(f => new FolderNode(f));
+        }
+        return this.getFileNodes(this.files);
+      }
+
+      if (element.id === 'localProxy') {
+        if (!localProxies.size) {
+          const label = vscode.l10n.t('Start the local proxy (checked targets will point at local ports)');
+          return [new ActionNode(label, 'proxyUrlSwitcher.startLocalProxy')];
+        }
+        return Array.from(localProxies.keys()).map(key => new LocalProxyNode(key));
+      }
+
+      if (element.id === 'scenarios') {
+        const scenarios = getScenarios();
+        if (!scenarios.length) {
+          return [new ActionNode(vscode.l10n.t('Save Current Config as Scenario…'), 'proxyUrlSwitcher.saveScenario')];
+        }
+        return scenarios.map(s => new ScenarioNode(s));
+      }
+
+      if (element.id === 'history') {
+        const history = getHistory(this.context);
+        if (!history.length) {
+          return [new ActionNode(vscode.l10n.t('No switch history'), 'proxyUrlSwitcher.refreshView')];
         }
-        const keys = getTargetKeys(map);
-        return keys.map(k => new TargetNode(k, map[k]));
+        return history.map(s => new HistoryNode(s));
       }
     }
 
+    if (element instanceof FolderNode) {
+      const key = element.folder.uri.toString();
+      return this.getFileNodes(
+        this.files.filter(f => vscode.workspace.getWorkspaceFolder(f.uri)?.uri.toString() === key)
+      );
+    }
+
+    if (element instanceof FileNode) {
+      return this.getTargetNodes(element.uri, element.map);
+    }
+
     if (element instanceof GroupNode) {
       if (element.sectionId === 'standard') {
         const profiles = getProfiles()
           .map(p => ({ ...p, origin: normalizeOrigin(p.origin) }))
           .filter(p => p.origin);
-        const grouped = groupBy(profiles, p => p.group || '标准版');
-        const list = grouped[element.label] || [];
-        return list
-          .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'zh-CN'))
-          .map(p => new OriginNode('standard', p.name, p.origin));
+        const grouped = groupBy(profiles, getProfileGroup);
+        const list = grouped[element.group] || [];
+        return sortProfiles(this.context, list).map(p => new OriginNode('standard', p.name, p.origin, p.scope));
+      }
+    }
+
+    return [];
+  }
+}
+
+function activate(context) {
+  const provider = new ProxyUrlTreeDataProvider(context);
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+      provideTextDocumentContent: uri => previewContents.get(uri.toString()) || ''
+    })
+  );
+  const treeView = vscode.window.createTreeView('proxyUrlSwitcher.view', {
+    treeDataProvider: provider,
+    showCollapseAll: false,
+    // File checkboxes pick files, they must not cascade into the target checkboxes
+    manageCheckboxStateManually: true,
+    canSelectMany: true,
+    dragAndDropController: {
+      dragMimeTypes: [DRAG_MIME],
+      dropMimeTypes: [DRAG_MIME],
+      handleDrag(source, dataTransfer) {
+        const nodes = source.filter(n => n instanceof OriginNode);
+        if (nodes.length) dataTransfer.set(DRAG_MIME, new vscode.DataTransferItem(nodes));
+      },
+      async handleDrop(target, dataTransfer) {
+        const nodes = dataTransfer.get(DRAG_MIME)?.value;
+        if (!Array.isArray(nodes)) return;
+        if (await moveOrigins(context, nodes, target)) provider.refresh();
+      }
+    }
+  });
+  context.subscriptions.push(
+    treeView.onDidCollapseElement(e => {
+      if (e.element instanceof GroupNode) setGroupCollapsed(context, e.element.group, true);
+    }),
+    treeView.onDidExpandElement(e => {
+      if (e.element instanceof GroupNode) setGroupCollapsed(context, e.element.group, false);
+    }),
+    treeView.onDidChangeCheckboxState(async e => {
+      for (const [node, state] of e.items) {
+        const checked = state === vscode.TreeItemCheckboxState.Checked;
+        if (node instanceof FileNode) {
+          await setFileIncluded(context, node.uri, checked);
+        } else if (node instanceof TargetNode) {
+          await setTargetChecked(context, node.uri, node.key, provider.findFile(node.uri)?.map, checked);
+        }
+      }
+      provider.refresh();
+    })
+  );
+  context.subscriptions.push(treeView);
+
+  const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+  statusBarItem.name = 'Proxy URL Switcher';
+  statusBarItem.command = 'proxyUrlSwitcher.selectProfile';
+  context.subscriptions.push(
+    statusBarItem,
+    provider.onDidChangeTreeData(() => updateStatusBar(statusBarItem, context, provider.files)),
+    provider.onDidChangeTreeData(() => {
+      const drifted = provider.getDriftedFiles().length;
+      treeView.badge = drifted
+        ? {
+          value: drifted,
+          tooltip: vscode.l10n.t('{0} proxy files differ from the committed version, restore the baseline before committing', drifted)
+        }
+        : undefined;
+    })
+  );
+
+  // External edits, git checkouts and created/deleted files all end up here
+  let reloadTimer;
+  const scheduleReload = () => {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(async () => {
+      await provider.reload();
+      provider.refresh();
+    }, 300);
+  };
+  let fileWatcher;
+  const watchTargetFiles = () => {
+    if (fileWatcher) fileWatcher.dispose();
+    fileWatcher = vscode.workspace.createFileSystemWatcher(getFileGlob());
+    fileWatcher.onDidChange(scheduleReload);
+    fileWatcher.onDidCreate(scheduleReload);
+    fileWatcher.onDidDelete(scheduleReload);
+  };
+  watchTargetFiles();
+  context.subscriptions.push(
+    {
+      dispose: () => {
+        clearTimeout(reloadTimer);
+        if (fileWatcher) fileWatcher.dispose();
+      }
+    },
+    vscode.workspace.onDidChangeConfiguration(e => {
+      if (e.affectsConfiguration(`${CONFIG_SECTION}.fileGlob`)) {
+        watchTargetFiles();
+        scheduleReload();
+      } else if (e.affectsConfiguration(`${CONFIG_SECTION}.baseline.skipWorktree`)) {
+        syncSkipWorktree(provider.files, isSkipWorktreeEnabled()).then(() => provider.refresh());
+      } else if (e.affectsConfiguration(CONFIG_SECTION)) {
+        provider.refresh();
+      }
+    })
+  );
+  scheduleReload();
+
+  const diagnostics = vscode.languages.createDiagnosticCollection('proxyUrlSwitcher');
+  const codeLensChanged = new vscode.EventEmitter();
+  const isProxyDocument = document => vscode.languages.match({ pattern: getFileGlob() }, document) > 0;
+  const updateDiagnostics = document => {
+    if (isProxyDocument(document)) diagnostics.set(document.uri, getProxyDiagnostics(context, document));
+  };
+  const updateAllDiagnostics = () => {
+    diagnostics.clear();
+    vscode.workspace.textDocuments.forEach(updateDiagnostics);
+    codeLensChanged.fire();
+  };
+  let languageFeatures = [];
+  // The selector follows `fileGlob`, so the providers are registered again when it changes
+  const registerLanguageFeatures = () => {
+    languageFeatures.forEach(d => d.dispose());
+    const selector = { pattern: getFileGlob() };
+    languageFeatures = [
+      vscode.languages.registerHoverProvider(selector, {
+        provideHover(document, position) {
+          const entry = findProxyStringAt(document, position);
+          if (!entry || !isUrlValue(entry.value)) return null;
+          const origin = normalizeOrigin(entry.value);
+          const known = getAllOrigins(context).find(o => o.origin === origin);
+          const lines = [`**${formatTargetLabel(entry.pointer)}** → \`${origin}\``];
+          if (known) {
+            lines.push(known.source === 'custom'
+              ? vscode.l10n.t('Custom address: **{0}**', known.name)
+              : vscode.l10n.t('Standard · {0}: **{1}**', formatGroupName(getProfileGroup(known)), known.name));
+            const health = formatHealth(origin);
+            if (health) lines.push(health);
+          } else {
+            lines.push(vscode.l10n.t('Does not belong to any configured environment'));
+          }
+          const proxy = localProxies.get(getLocalProxyKey(document.uri, entry.pointer));
+          if (proxy) lines.push(vscode.l10n.t('Local proxy :{0} → {1}', proxy.port, proxy.upstream));
+          return new vscode.Hover(
+            new vscode.MarkdownString(lines.join('\n\n')),
+            new vscode.Range(document.positionAt(entry.start), document.positionAt(entry.end))
+          );
+        }
+      }),
+      vscode.languages.registerCodeLensProvider(selector, {
+        onDidChangeCodeLenses: codeLensChanged.event,
+        provideCodeLenses(document) {
+          let entries;
+          try {
+            entries = locateProxyStrings(document.getText(), document.uri).filter(e => isUrlValue(e.value));
+          } catch {
+            return [];
+          }
+          const seen = new Set();
+          return entries
+            .filter(e => !seen.has(e.pointer) && seen.add(e.pointer))
+            .map(entry => {
+              const name = findOriginName(context, entry.value);
+              return new vscode.CodeLens(
+                new vscode.Range(document.positionAt(entry.start), document.positionAt(entry.start)),
+                {
+                  title: `$(arrow-swap) ${name || normalizeOrigin(entry.value)}`,
+                  tooltip: vscode.l10n.t('Switch {0} to another environment', formatTargetLabel(entry.pointer)),
+                  command: 'proxyUrlSwitcher.switchTarget',
+                  arguments: [document.uri.toString(), entry.pointer]
+                }
+              );
+            });
+        }
+      })
+    ];
+  };
+  registerLanguageFeatures();
+  updateAllDiagnostics();
+  context.subscriptions.push(
+    diagnostics,
+    codeLensChanged,
+    { dispose: () => languageFeatures.forEach(d => d.dispose()) },
+    vscode.workspace.onDidOpenTextDocument(updateDiagnostics),
+    vscode.workspace.onDidChangeTextDocument(e => updateDiagnostics(e.document)),
+    vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri)),
+    // Profiles, health and the local proxy all feed the messages
+    provider.onDidChangeTreeData(updateAllDiagnostics),
+    vscode.workspace.onDidChangeConfiguration(e => {
+      if (e.affectsConfiguration(`${CONFIG_SECTION}.fileGlob`)) registerLanguageFeatures();
+    })
+  );
+
+  let teamWatchers = [];
+  const reloadTeamProfiles = async () => {
+    await loadTeamProfiles();
+    provider.refresh();
+  };
+  const watchTeamProfiles = () => {
+    teamWatchers.forEach(w => w.dispose());
+    teamWatchers = (vscode.workspace.workspaceFolders || []).map(folder => {
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(folder, getTeamProfilesPath())
+      );
+      watcher.onDidChange(reloadTeamProfiles);
+      watcher.onDidCreate(reloadTeamProfiles);
+      watcher.onDidDelete(reloadTeamProfiles);
+      return watcher;
+    });
+  };
+  watchTeamProfiles();
+  const teamProfilesLoaded = reloadTeamProfiles();
+  context.subscriptions.push(
+    { dispose: () => teamWatchers.forEach(w => w.dispose()) },
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+      watchTeamProfiles();
+      reloadTeamProfiles();
+    }),
+    vscode.workspace.onDidChangeConfiguration(e => {
+      if (e.affectsConfiguration(`${CONFIG_SECTION}.teamProfilesFile`)) {
+        watchTeamProfiles();
+        reloadTeamProfiles();
+      }
+    })
+  );
+
+  // Each folder/branch/binding combination is offered once, so repeated HEAD events do not nag
+  const checkAutoApply = async (folder) => {
+    const mode = getAutoApplyMode();
+    if (mode === 'off') return;
+    const branch = await readGitBranch(folder);
+    const rule = findAutoApplyRule(folder, branch);
+    if (!rule) return;
+    const key = [branch || '', rule.profile || '', rule.scenario || ''].join('|');
+    const applied = context.workspaceState.get(STATE_AUTO_APPLIED) || {};
+    if (applied[folder.uri.toString()] === key) return;
+    await context.workspaceState.update(STATE_AUTO_APPLIED, { ...applied, [folder.uri.toString()]: key });
+
+    const label = rule.scenario
+      ? vscode.l10n.t('Scenario "{0}"', rule.scenario)
+      : vscode.l10n.t('"{0}"', rule.profile);
+    if (mode === 'prompt') {
+      const where = branch && rule.branch ? vscode.l10n.t('{0} on branch {1}', folder.name, branch) : folder.name;
+      const always = vscode.l10n.t('Always Apply Automatically');
+      const choice = await vscode.window.showInformationMessage(
+        vscode.l10n.t('{0} is bound to {1}. Apply it?', where, label),
+        vscode.l10n.t('Apply'),
+        always
+      );
+      if (!choice) return;
+      if (choice === always) {
+        const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+        await config.update('autoApply.mode', 'silent', vscode.ConfigurationTarget.Workspace);
+      }
+    }
+
+    // Only the folder's own files follow its branch
+    const folderKey = folder.uri.toString();
+    const uris = (await findTargetFiles()).filter(uri => vscode.workspace.getWorkspaceFolder(uri)?.uri.toString() === folderKey);
+    if (!uris.length) return;
+    if (rule.scenario) {
+      const scenario = getScenarios().find(s => s.name === rule.scenario);
+      if (!scenario) {
+        vscode.window.showWarningMessage(vscode.l10n.t('Auto-apply: scenario "{0}" not found', rule.scenario));
+        return;
+      }
+      await applyScenario(context, scenario, { uris });
+    } else {
+      const target = getAllOrigins(context).find(o => o.name === rule.profile);
+      if (!target) {
+        vscode.window.showWarningMessage(vscode.l10n.t('Auto-apply: environment "{0}" not found', rule.profile));
+        return;
       }
+      const result = await applyOrigin(context, target.origin, { profileName: target.name, uris });
+      if (result) await setCurrentProfile(target.name);
+    }
+    await provider.reload();
+    provider.refresh();
+  };
+
+  let headWatchers = [];
+  const headTimers = new Map();
+  const watchGitHeads = async () => {
+    headWatchers.forEach(w => w.dispose());
+    headWatchers = [];
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      checkAutoApply(folder);
+      const headUri = await getGitHeadUri(folder);
+      if (!headUri) continue;
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(vscode.Uri.joinPath(headUri, '..'), 'HEAD')
+      );
+      // A checkout rewrites HEAD more than once
+      const onHead = () => {
+        clearTimeout(headTimers.get(folder.uri.toString()));
+        headTimers.set(folder.uri.toString(), setTimeout(() => checkAutoApply(folder), 500));
+      };
+      watcher.onDidChange(onHead);
+      watcher.onDidCreate(onHead);
+      headWatchers.push(watcher);
     }
+  };
+  // Rules may name team profiles, which load asynchronously
+  teamProfilesLoaded.then(watchGitHeads);
+  context.subscriptions.push(
+    {
+      dispose: () => {
+        headWatchers.forEach(w => w.dispose());
+        headTimers.forEach(timer => clearTimeout(timer));
+      }
+    },
+    vscode.workspace.onDidChangeWorkspaceFolders(() => watchGitHeads())
+  );
 
-    return [];
+  // Servers do not outlive the window, but the files still point at them
+  // Entries saved before proxies were kept per file carry no `file` and cannot be matched
+  const saved = context.workspaceState.get(STATE_LOCAL_PROXY);
+  const savedProxy = Array.isArray(saved) ? saved.filter(e => e && e.file) : [];
+  if (savedProxy.length) {
+    startLocalProxyServers(context, savedProxy)
+      .then(() => provider.refresh())
+      .catch(e => vscode.window.showWarningMessage(
+        vscode.l10n.t('Failed to restore the local proxy: {0}. Start it again or apply an environment', e.message)
+      ));
   }
-}
-
-function activate(context) {
-  const provider = new ProxyUrlTreeDataProvider(context);
-  const treeView = vscode.window.createTreeView('proxyUrlSwitcher.view', {
-    treeDataProvider: provider,
-    showCollapseAll: false
+  context.subscriptions.push({
+    dispose: () => {
+      stopLocalProxyServers();
+      proxyOutput?.dispose();
+    }
   });
-  context.subscriptions.push(treeView);
 
   const refreshView = vscode.commands.registerCommand('proxyUrlSwitcher.refreshView', async () => {
     await provider.reload();
@@ -436,29 +2720,29 @@ function activate(context) {
 
   const addCustomOrigin = vscode.commands.registerCommand('proxyUrlSwitcher.addCustomOrigin', async () => {
     const name = await vscode.window.showInputBox({
-      prompt: '输入别名（例如：Local Dev）',
+      prompt: vscode.l10n.t('Enter an alias (e.g. Local Dev)'),
       placeHolder: 'Local Dev'
     });
     if (!name) return;
 
     const input = await vscode.window.showInputBox({
-      prompt: '输入 host:port 或完整 URL（例如 10.8.130.1:7002 或 http://10.8.130.1:7002）',
+      prompt: vscode.l10n.t('Enter host:port or a full URL (e.g. 10.8.130.1:7002 or http://10.8.130.1:7002)'),
       value: '',
       validateInput: validateOriginInputRequirePort
     });
     if (input === undefined) return;
     const origin = normalizeOrigin(input);
     if (!origin || !hasExplicitPort(origin)) {
-      vscode.window.showErrorMessage(!origin ? '输入格式不合法' : '端口不能为空，例如 10.8.150.33:7002');
+      vscode.window.showErrorMessage(!origin ? vscode.l10n.t('Invalid format') : vscode.l10n.t('Port is required, e.g. 10.8.150.33:7002'));
       return;
     }
 
-    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
-    const profiles = config.get('profiles') || [];
-    const existsInProfiles = profiles.some(p => normalizeOrigin(p.origin) === origin || p.name === name);
+    const existsInProfiles = getProfiles().some(p => normalizeOrigin(p.origin) === origin || p.name === name);
 
     if (existsInProfiles) {
-      vscode.window.showWarningMessage(`该名称或地址已在“标准版”中存在：${name} / ${origin}`);
+      vscode.window.showWarningMessage(
+        vscode.l10n.t('This name or address already exists in "{0}": {1} / {2}', formatGroupName(DEFAULT_GROUP), name, origin)
+      );
       return;
     }
 
@@ -471,7 +2755,7 @@ function activate(context) {
     });
 
     if (existsInCustom) {
-      vscode.window.showWarningMessage(`该名称或地址已存在：${name} / ${origin}`);
+      vscode.window.showWarningMessage(vscode.l10n.t('This name or address already exists: {0} / {1}', name, origin));
       return;
     }
 
@@ -480,7 +2764,8 @@ function activate(context) {
     
     // Normalize existing data to objects for consistent storage
     const normalizedCurrent = current.map(o => (typeof o === 'string' ? { name: o, origin: o } : o));
-    const next = [...normalizedCurrent, newItem].sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+    // Appended so the order set by dragging is kept
+    const next = [...normalizedCurrent, newItem];
     
     await context.workspaceState.update(STATE_CUSTOM_ORIGINS, next);
     provider.refresh();
@@ -500,39 +2785,40 @@ function activate(context) {
 
   const addStandardProfile = vscode.commands.registerCommand('proxyUrlSwitcher.addStandardProfile', async () => {
     const name = await vscode.window.showInputBox({
-      prompt: '输入名称（例如：My Dev Env）',
+      prompt: vscode.l10n.t('Enter a name (e.g. My Dev Env)'),
       placeHolder: 'My Dev Env'
     });
     if (!name) return;
 
     const input = await vscode.window.showInputBox({
-      prompt: '输入地址（例如：http://10.8.1.1:7002）',
+      prompt: vscode.l10n.t('Enter the address (e.g. http://10.8.1.1:7002)'),
       placeHolder: 'http://10.8.1.1:7002',
       validateInput: validateOriginInputRequirePort
     });
     if (input === undefined) return;
     const origin = normalizeOrigin(input);
     if (!origin || !hasExplicitPort(origin)) {
-      vscode.window.showErrorMessage(!origin ? '输入地址格式不合法' : '端口不能为空，例如 10.8.150.33:7002');
+      vscode.window.showErrorMessage(!origin ? vscode.l10n.t('Invalid address format') : vscode.l10n.t('Port is required, e.g. 10.8.150.33:7002'));
       return;
     }
 
     const group = await vscode.window.showInputBox({
-      prompt: '输入分组（可选，默认为“标准版”）',
-      placeHolder: '标准版'
+      prompt: vscode.l10n.t('Enter a group (optional, defaults to "{0}")', formatGroupName(DEFAULT_GROUP)),
+      placeHolder: formatGroupName(DEFAULT_GROUP)
     });
 
     const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
     const profiles = config.get('profiles') || [];
     
-    // Check for duplicates
-    const exists = profiles.some(p => p.origin === origin || p.name === name);
+    // Check for duplicates, team profiles included
+    const exists = getProfiles().some(p => normalizeOrigin(p.origin) === origin || p.name === name);
     if (exists) {
-      vscode.window.showWarningMessage(`该名称或地址已存在：${name} / ${origin}`);
+      vscode.window.showWarningMessage(vscode.l10n.t('This name or address already exists: {0} / {1}', name, origin));
       return;
     }
 
-    const newProfile = { name, origin, group: group || '标准版' };
+    const storedGroup = toStoredGroup(parseGroupName(group));
+    const newProfile = storedGroup ? { name, origin, group: storedGroup } : { name, origin };
     const newProfiles = [...profiles, newProfile];
     await config.update('profiles', newProfiles, vscode.ConfigurationTarget.Global);
     provider.refresh();
@@ -540,6 +2826,23 @@ function activate(context) {
 
   const deleteStandardProfile = vscode.commands.registerCommand('proxyUrlSwitcher.deleteStandardProfile', async (node) => {
     if (!node || !node.name) return;
+    if (node.scope === 'team') {
+      const profile = teamProfiles.find(p => p.name === node.name);
+      if (!profile) return;
+      const remove = vscode.l10n.t('Delete');
+      const confirm = await vscode.window.showWarningMessage(
+        vscode.l10n.t('"{0}" comes from the team profile file, deleting it modifies {1}. Continue?', node.name, getTeamProfilesPath()),
+        { modal: true },
+        remove
+      );
+      if (confirm !== remove) return;
+      const uri = vscode.Uri.parse(profile.teamFile);
+      const remaining = extractTeamProfiles(parseJsonText(await readDiskText(uri), uri)).filter(p => p.name !== node.name);
+      await writeTeamProfiles(uri, remaining);
+      await loadTeamProfiles();
+      provider.refresh();
+      return;
+    }
     const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
     const profiles = config.get('profiles') || [];
     const newProfiles = profiles.filter(p => p.name !== node.name || normalizeOrigin(p.origin) !== node.origin);
@@ -547,125 +2850,910 @@ function activate(context) {
     provider.refresh();
   });
 
+  const renameOrigin = vscode.commands.registerCommand('proxyUrlSwitcher.renameOrigin', async (node) => {
+    if (!(node instanceof OriginNode)) return;
+    const name = await vscode.window.showInputBox({
+      prompt: vscode.l10n.t('Enter the new name'),
+      value: node.name,
+      validateInput: value => {
+        const trimmed = value.trim();
+        if (!trimmed) return vscode.l10n.t('Name is required');
+        if (trimmed !== node.name && getAllOrigins(context).some(o => o.name === trimmed)) return vscode.l10n.t('This name already exists');
+        return null;
+      }
+    });
+    if (!name || name.trim() === node.name) return;
+    const nextName = name.trim();
+    if (node.sectionId === 'standard') {
+      if (!(await updateStandardProfile(node.name, { name: nextName }))) return;
+    } else {
+      await updateCustomOrigin(context, node.origin, { name: nextName });
+    }
+    await renameOriginReferences(context, node.name, nextName);
+    provider.refresh();
+  });
+
+  const editOrigin = vscode.commands.registerCommand('proxyUrlSwitcher.editOrigin', async (node) => {
+    if (!(node instanceof OriginNode)) return;
+    const current = normalizeOrigin(node.origin);
+    const input = await vscode.window.showInputBox({
+      prompt: vscode.l10n.t('Change the address of "{0}"', node.name),
+      value: node.origin,
+      validateInput: value => {
+        const error = validateOriginInputRequirePort(value);
+        if (error) return error;
+        const origin = normalizeOrigin(value);
+        if (origin !== current && getAllOrigins(context).some(o => o.origin === origin)) return vscode.l10n.t('This address already exists');
+        return null;
+      }
+    });
+    if (input === undefined) return;
+    const origin = normalizeOrigin(input);
+    if (!origin || origin === current) return;
+    if (node.sectionId === 'standard') {
+      await updateStandardProfile(node.name, { origin });
+    } else {
+      await updateCustomOrigin(context, node.origin, { origin });
+    }
+    provider.refresh();
+  });
+
+  const promoteCustomOrigin = vscode.commands.registerCommand('proxyUrlSwitcher.promoteCustomOrigin', async (node) => {
+    if (!(node instanceof OriginNode) || node.sectionId !== 'custom') return;
+    if (getProfiles().some(p => p.name === node.name)) {
+      vscode.window.showWarningMessage(
+        vscode.l10n.t('"{0}" already has an address named {1}, rename it first', formatGroupName(DEFAULT_GROUP), node.name)
+      );
+      return;
+    }
+    const group = await pickProfileGroup();
+    if (!group) return;
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    const profiles = config.get('profiles') || [];
+    await config.update(
+      'profiles',
+      [...profiles, mergeProfileChanges({ name: node.name, origin: normalizeOrigin(node.origin) }, { group: toStoredGroup(group) })],
+      vscode.ConfigurationTarget.Global
+    );
+    await context.workspaceState.update(
+      STATE_CUSTOM_ORIGINS,
+      getCustomOrigins(context).filter(o => o.origin !== node.origin)
+    );
+    provider.refresh();
+  });
+
+  const moveProfileToGroup = vscode.commands.registerCommand('proxyUrlSwitcher.moveProfileToGroup', async (node) => {
+    if (!(node instanceof OriginNode) || node.sectionId !== 'standard') return;
+    const profile = getProfiles().find(p => p.name === node.name);
+    if (!profile) return;
+    const group = await pickProfileGroup(getProfileGroup(profile));
+    if (!group || group === getProfileGroup(profile)) return;
+    await updateStandardProfile(node.name, { group: toStoredGroup(group) });
+    provider.refresh();
+  });
+
+  const renameGroup = vscode.commands.registerCommand('proxyUrlSwitcher.renameGroup', async (node) => {
+    if (!(node instanceof GroupNode)) return;
+    const name = await vscode.window.showInputBox({
+      prompt: vscode.l10n.t('Rename the group "{0}"', node.label),
+      value: node.label,
+      validateInput: value => (value.trim() ? null : vscode.l10n.t('Group name is required'))
+    });
+    if (!name) return;
+    const group = parseGroupName(name);
+    if (group === node.group) return;
+    await rewriteProfiles(p => (getProfileGroup(p) === node.group ? mergeProfileChanges(p, { group: toStoredGroup(group) }) : p));
+    await renameGroupInSettings(node.group, group);
+    if (isGroupCollapsed(context, node.group)) {
+      await setGroupCollapsed(context, node.group, false);
+      await setGroupCollapsed(context, group, true);
+    }
+    provider.refresh();
+  });
+
+  const deleteGroup = vscode.commands.registerCommand('proxyUrlSwitcher.deleteGroup', async (node) => {
+    if (!(node instanceof GroupNode)) return;
+    const profiles = getProfiles().filter(p => getProfileGroup(p) === node.group);
+    const teamCount = profiles.filter(p => p.scope === 'team').length;
+    const remove = vscode.l10n.t('Delete');
+    const confirm = await vscode.window.showWarningMessage(
+      vscode.l10n.t('Delete the group "{0}" and its {1} addresses?', node.label, profiles.length),
+      {
+        modal: true,
+        detail: teamCount
+          ? vscode.l10n.t('{0} of them come from the team profile file, deleting them modifies {1}', teamCount, getTeamProfilesPath())
+          : undefined
+      },
+      remove
+    );
+    if (confirm !== remove) return;
+    await rewriteProfiles(p => (getProfileGroup(p) === node.group ? null : p));
+    provider.refresh();
+  });
+
+  const exportGroup = vscode.commands.registerCommand('proxyUrlSwitcher.exportGroup', async (node) => {
+    if (!(node instanceof GroupNode)) return;
+    const profiles = sortProfiles(context, getProfiles().filter(p => getProfileGroup(p) === node.group))
+      .map(({ scope, teamFile, ...p }) => p);
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder ? vscode.Uri.joinPath(folder.uri, `proxy-profiles-${node.group}.json`) : undefined,
+      filters: { JSON: ['json'] },
+      saveLabel: vscode.l10n.t('Export')
+    });
+    if (!uri) return;
+    // Same shape as the team profile file, so an export can be committed as one
+    const content = JSON.stringify({ profiles }, null, 2) + '\n';
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+    vscode.window.showInformationMessage(vscode.l10n.t('Exported {0} addresses of the group "{1}"', profiles.length, node.label));
+  });
+
+  const exportProfilesToTeam = vscode.commands.registerCommand('proxyUrlSwitcher.exportProfilesToTeam', async () => {
+    const userProfiles = getUserProfiles();
+    if (!userProfiles.length) {
+      vscode.window.showInformationMessage(vscode.l10n.t('No profiles in the user settings to export'));
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(
+      userProfiles.map(p => ({ label: p.name, description: p.origin, detail: formatGroupName(getProfileGroup(p)), picked: true, profile: p })),
+      { canPickMany: true, placeHolder: vscode.l10n.t('Select the profiles to export to the team profile file (same names are overwritten)') }
+    );
+    if (!picked || !picked.length) return;
+    const uri = await pickTeamProfilesUri();
+    if (!uri) return;
+    const mode = await vscode.window.showQuickPick(
+      [
+        { label: vscode.l10n.t('Copy'), description: vscode.l10n.t('Keep the profiles in the user settings'), move: false },
+        { label: vscode.l10n.t('Move'), description: vscode.l10n.t('Remove them from the user settings after exporting'), move: true }
+      ],
+      { placeHolder: vscode.l10n.t('Export mode') }
+    );
+    if (!mode) return;
+
+    let existing = [];
+    try {
+      existing = extractTeamProfiles(parseJsonText(await readDiskText(uri), uri));
+    } catch {
+      // Created by writeTeamProfiles
+    }
+    const names = new Set(picked.map(p => p.profile.name));
+    await writeTeamProfiles(uri, [...existing.filter(p => !names.has(p.name)), ...picked.map(p => p.profile)]);
+    if (mode.move) {
+      const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+      await config.update('profiles', userProfiles.filter(p => !names.has(p.name)), vscode.ConfigurationTarget.Global);
+    }
+    await loadTeamProfiles();
+    provider.refresh();
+    vscode.window.showInformationMessage(
+      vscode.l10n.t('Exported {0} profiles to {1}', picked.length, vscode.workspace.asRelativePath(uri))
+    );
+  });
+
+  const importProfilesFromTeam = vscode.commands.registerCommand('proxyUrlSwitcher.importProfilesFromTeam', async () => {
+    if (!teamProfiles.length) {
+      vscode.window.showInformationMessage(
+        vscode.l10n.t('The team profile file is missing or has no profiles: {0}', getTeamProfilesPath())
+      );
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(
+      teamProfiles.map(p => ({ label: p.name, description: p.origin, detail: formatGroupName(getProfileGroup(p)), picked: true, profile: p })),
+      { canPickMany: true, placeHolder: vscode.l10n.t('Select the profiles to import into the user settings (same names are overwritten)') }
+    );
+    if (!picked || !picked.length) return;
+    const names = new Set(picked.map(p => p.profile.name));
+    const imported = picked.map(({ profile: { scope, teamFile, ...p } }) => p);
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    await config.update(
+      'profiles',
+      [...getUserProfiles().filter(p => !names.has(p.name)), ...imported],
+      vscode.ConfigurationTarget.Global
+    );
+    provider.refresh();
+    vscode.window.showInformationMessage(vscode.l10n.t('Imported {0} profiles into the user settings', picked.length));
+  });
+
   const clearCustomOrigins = vscode.commands.registerCommand('proxyUrlSwitcher.clearCustomOrigins', async () => {
     await context.workspaceState.update(STATE_CUSTOM_ORIGINS, []);
     provider.refresh();
   });
 
+  // `options` is passed through to applyOrigin (preview, targets, uris)
+  const applyFromView = async (origin, name, options = {}) => {
+    const normalized = normalizeOrigin(origin);
+    if (!normalized) {
+      vscode.window.showErrorMessage(vscode.l10n.t('Invalid address'));
+      return null;
+    }
+    if (!hasExplicitPort(normalized)) {
+      vscode.window.showErrorMessage(vscode.l10n.t('The port is missing, delete this address and add it again (e.g. 10.8.150.33:7002)'));
+      return null;
+    }
+    const result = await applyOrigin(context, normalized, { ...options, profileName: name });
+    if (result && name) {
+      await setCurrentProfile(name);
+    }
+    await provider.reload();
+    provider.refresh();
+    return result;
+  };
+
   const applyOriginFromView = vscode.commands.registerCommand(
     'proxyUrlSwitcher.applyOriginFromView',
-    async (origin, name) => {
-      const normalized = normalizeOrigin(origin);
-      if (!normalized) {
-        vscode.window.showErrorMessage('地址不合法');
-        return;
-      }
-      if (!hasExplicitPort(normalized)) {
-        vscode.window.showErrorMessage('端口不能为空，请删除该地址后重新添加（例如 10.8.150.33:7002）');
-        return;
+    async (origin, name) => applyFromView(origin, name)
+  );
+
+  const previewOriginFromView = vscode.commands.registerCommand(
+    'proxyUrlSwitcher.previewOriginFromView',
+    async (node) => {
+      if (!node || !node.origin) return;
+      await applyFromView(node.origin, node.name, { preview: true });
+    }
+  );
+
+  const toggleTarget = vscode.commands.registerCommand('proxyUrlSwitcher.toggleTarget', async (key, file) => {
+    if (!provider.loaded) await provider.reload();
+    const entry = file ? provider.findFile(vscode.Uri.parse(file)) : provider.files[0];
+    if (!entry?.map) return;
+    await toggleTargetKey(context, entry.uri, key, entry.map);
+    provider.refresh();
+  });
+
+  // Rewrites the checked targets of every loaded file
+  const updateAllSelections = async (select) => {
+    if (!provider.loaded) await provider.reload();
+    for (const { uri, map } of provider.files) {
+      if (!map) continue;
+      const selected = new Set(getSelectedTargets(context, uri, map));
+      await setSelectedTargets(context, uri, getTargetKeys(map).filter(k => select(k, selected.has(k))));
+    }
+    provider.refresh();
+  };
+
+  const selectAllTargets = vscode.commands.registerCommand(
+    'proxyUrlSwitcher.selectAllTargets',
+    () => updateAllSelections(() => true)
+  );
+
+  const selectNoTargets = vscode.commands.registerCommand(
+    'proxyUrlSwitcher.selectNoTargets',
+    () => updateAllSelections(() => false)
+  );
+
+  const invertTargets = vscode.commands.registerCommand(
+    'proxyUrlSwitcher.invertTargets',
+    () => updateAllSelections((key, checked) => !checked)
+  );
+
+  const selectTargetSet = vscode.commands.registerCommand('proxyUrlSwitcher.selectTargetSet', async () => {
+    if (!provider.loaded) await provider.reload();
+    const active = findActiveTargetSet(context, provider.files);
+    const items = [
+      ...getTargetSets().map(set => ({
+        label: set.name,
+        description: [
+          set === active ? vscode.l10n.t('Current') : '',
+          Array.isArray(set.profiles) && set.profiles.length ? vscode.l10n.t('Linked: {0}', joinList(set.profiles)) : ''
+        ].filter(Boolean).join(' · '),
+        detail: joinList(set.targets.map(formatTargetLabel)),
+        set
+      })),
+      { label: '', kind: vscode.QuickPickItemKind.Separator },
+      { label: vscode.l10n.t('$(check-all) Select All'), command: 'proxyUrlSwitcher.selectAllTargets' },
+      { label: vscode.l10n.t('$(close-all) Select None'), command: 'proxyUrlSwitcher.selectNoTargets' },
+      { label: vscode.l10n.t('$(arrow-swap) Invert Selection'), command: 'proxyUrlSwitcher.invertTargets' },
+      { label: vscode.l10n.t('$(save) Save Checked Targets as Target Set…'), command: 'proxyUrlSwitcher.saveTargetSet' },
+      { label: vscode.l10n.t('$(trash) Delete Target Sets…'), command: 'proxyUrlSwitcher.deleteTargetSet' }
+    ];
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: vscode.l10n.t('Select a target set') });
+    if (!picked) return;
+    if (picked.command) {
+      await vscode.commands.executeCommand(picked.command);
+      return;
+    }
+    await applyTargetSet(context, picked.set, provider.files);
+    provider.refresh();
+  });
+
+  const saveTargetSet = vscode.commands.registerCommand('proxyUrlSwitcher.saveTargetSet', async () => {
+    if (!provider.loaded) await provider.reload();
+    const targets = Array.from(new Set(
+      provider.files.filter(f => f.map).flatMap(({ uri, map }) => getSelectedTargets(context, uri, map))
+    )).sort();
+    if (!targets.length) {
+      vscode.window.showWarningMessage(vscode.l10n.t('No target is checked'));
+      return;
+    }
+
+    const sets = getTargetSets();
+    const name = await vscode.window.showInputBox({
+      prompt: vscode.l10n.t('Enter a name for the target set ({0} checked)', targets.length),
+      placeHolder: vscode.l10n.t('rest only')
+    });
+    if (!name) return;
+    const existing = sets.find(s => s.name === name);
+    if (existing) {
+      const overwrite = vscode.l10n.t('Overwrite');
+      const confirm = await vscode.window.showWarningMessage(
+        vscode.l10n.t('The target set "{0}" already exists. Overwrite it?', name),
+        { modal: true },
+        overwrite
+      );
+      if (confirm !== overwrite) return;
+    }
+
+    const linked = existing?.profiles || [];
+    const picked = await vscode.window.showQuickPick(
+      getAllOrigins(context).map(o => ({ label: o.name, description: o.origin, picked: linked.includes(o.name) })),
+      { canPickMany: true, placeHolder: vscode.l10n.t('Link to environments (optional): applying them switches to this target set') }
+    );
+    if (!picked) return;
+    const profiles = picked.map(p => p.label);
+    // A profile links to at most one set
+    const others = sets
+      .filter(s => s.name !== name)
+      .map(s => (Array.isArray(s.profiles) ? { ...s, profiles: s.profiles.filter(n => !profiles.includes(n)) } : s));
+    await setTargetSets([...others, { name, targets, ...(profiles.length ? { profiles } : {}) }]);
+    provider.refresh();
+  });
+
+  const deleteTargetSet = vscode.commands.registerCommand('proxyUrlSwitcher.deleteTargetSet', async () => {
+    const sets = getTargetSets();
+    if (!sets.length) {
+      vscode.window.showInformationMessage(vscode.l10n.t('No target sets'));
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(
+      sets.map(s => ({ label: s.name, description: vscode.l10n.t('{0} items', s.targets.length) })),
+      { canPickMany: true, placeHolder: vscode.l10n.t('Select the target sets to delete') }
+    );
+    if (!picked || !picked.length) return;
+    const names = new Set(picked.map(p => p.label));
+    await setTargetSets(sets.filter(s => !names.has(s.name)));
+    provider.refresh();
+  });
+
+  const startLocalProxy = vscode.commands.registerCommand('proxyUrlSwitcher.startLocalProxy', async () => {
+    if (localProxies.size) {
+      vscode.window.showInformationMessage(vscode.l10n.t('The local proxy is already running'));
+      return;
+    }
+    await provider.reload();
+    // Each selected target of each file keeps its current origin as the first upstream
+    const upstreams = provider.files.filter(f => f.map).flatMap(({ uri, map }) => {
+      const selected = new Set(getSelectedTargets(context, uri, map));
+      return collectUrlTargets(map)
+        .filter(t => selected.has(t.pointer))
+        .map(t => ({ file: uri.toString(), pointer: t.pointer, upstream: normalizeOrigin(t.value) }));
+    });
+    if (!upstreams.length) {
+      vscode.window.showWarningMessage(vscode.l10n.t('No target is checked'));
+      return;
+    }
+
+    // A configured port goes to the first file with that target, the others get free ones
+    const { basePort, ports } = getLocalProxyConfig();
+    const configured = new Set(Object.values(ports));
+    const used = new Set();
+    let nextPort = basePort;
+    const entries = upstreams.map(({ file, pointer, upstream }) => {
+      let port = ports[pointer];
+      if (!port || used.has(port)) {
+        while (configured.has(nextPort) || used.has(nextPort)) nextPort += 1;
+        port = nextPort;
       }
-      const selectedTargets = getSelectedTargets(context, provider.latest.map);
-      await context.workspaceState.update(STATE_CURRENT_ORIGIN, normalized);
-      if (name) {
-        await setCurrentProfile(name);
+      used.add(port);
+      return { file, pointer, port, upstream, profileName: findOriginName(context, upstream) };
+    });
+    const uris = Array.from(new Set(entries.map(e => e.file)), file => vscode.Uri.parse(file));
+
+    try {
+      await startLocalProxyServers(context, entries);
+    } catch (e) {
+      vscode.window.showErrorMessage(vscode.l10n.t('Failed to start the local proxy: {0}', e.message));
+      return;
+    }
+    // Point the files at the proxy; the running servers must not intercept this apply
+    const running = new Map(localProxies);
+    localProxies.clear();
+    const plan = entries.map(e => ({
+      origin: `http://${LOCAL_PROXY_HOST}:${e.port}`,
+      profileName: '',
+      targets: [e.pointer],
+      uri: e.file
+    }));
+    const results = await applyPlan(context, plan, { label: vscode.l10n.t('Local Proxy'), preview: false, uris });
+    running.forEach((entry, key) => localProxies.set(key, entry));
+    if (!results) {
+      stopLocalProxyServers();
+      return;
+    }
+    await provider.reload();
+    // Path overrides replace the target's path in the file, the rest of each request path is kept
+    localProxies.forEach(entry => {
+      const map = provider.files.find(f => f.uri.toString() === entry.file)?.map;
+      const value = map && getAtPath(map, parsePointer(entry.pointer));
+      entry.targetPath = isUrlValue(value) ? new URL(value).pathname : '';
+    });
+    await saveLocalProxyState(context);
+    provider.refresh();
+  });
+
+  const stopLocalProxy = vscode.commands.registerCommand('proxyUrlSwitcher.stopLocalProxy', async () => {
+    if (!localProxies.size) return;
+    // Write the current upstreams back so the files work without the proxy, each into its own file
+    const steps = new Map();
+    localProxies.forEach(entry => {
+      const stepKey = `${entry.file}\n${entry.upstream}\n${entry.profileName}`;
+      const step = steps.get(stepKey) || { origin: entry.upstream, profileName: entry.profileName, targets: [], uri: entry.file };
+      step.targets.push(entry.pointer);
+      steps.set(stepKey, step);
+    });
+    const uris = Array.from(new Set(Array.from(localProxies.values(), e => e.file)), file => vscode.Uri.parse(file));
+    const running = new Map(localProxies);
+    localProxies.clear();
+    const results = await applyPlan(
+      context,
+      Array.from(steps.values()),
+      { label: vscode.l10n.t('Stop Local Proxy'), preview: false, uris }
+    );
+    running.forEach((entry, key) => localProxies.set(key, entry));
+    stopLocalProxyServers();
+    await saveLocalProxyState(context);
+    if (!results) {
+      vscode.window.showWarningMessage(
+        vscode.l10n.t('The local proxy stopped, but the proxy files still point at local ports. Apply an environment again')
+      );
+    }
+    await provider.reload();
+    provider.refresh();
+  });
+
+  const showLocalProxyLog = vscode.commands.registerCommand('proxyUrlSwitcher.showLocalProxyLog', () => {
+    getProxyOutput().show(true);
+  });
+
+  const restoreBaseline = vscode.commands.registerCommand('proxyUrlSwitcher.restoreBaseline', async (node) => {
+    await provider.reload();
+    const files = node instanceof FileNode
+      ? provider.getDriftedFiles().filter(f => f.uri.toString() === node.uri.toString())
+      : provider.getDriftedFiles();
+    if (!files.length) {
+      vscode.window.showInformationMessage(vscode.l10n.t('The proxy files match the committed version'));
+      return;
+    }
+    const restore = vscode.l10n.t('Restore');
+    const confirm = await vscode.window.showWarningMessage(
+      vscode.l10n.t('Restore {0} proxy files to the committed version?', files.length),
+      { modal: true, detail: files.map(f => vscode.workspace.asRelativePath(f.uri)).join('\n') },
+      restore
+    );
+    if (confirm !== restore) return;
+    const switchId = createSnapshotId();
+    for (const { uri } of files) {
+      try {
+        const document = await vscode.workspace.openTextDocument(uri);
+        // The committed text replaces the whole file, so unsaved edits can only be overwritten
+        const base = await resolveBaseText(document, { replace: true });
+        if (!base) continue;
+        const map = parseProxyText(base.text, uri);
+        // Recorded like a switch, so the restore itself can be undone
+        await recordSnapshot(context, {
+          uri,
+          map,
+          origin: '',
+          profileName: vscode.l10n.t('Baseline'),
+          changed: getBaselineDrift(uri, map),
+          switchId
+        });
+        await replaceDocumentText(document, baselines.get(uri.toString()).text, base.save);
+      } catch (e) {
+        vscode.window.showErrorMessage(e.message || String(e));
       }
-      await applyOrigin(normalized, selectedTargets);
-      await provider.reload();
-      provider.refresh();
     }
-  );
+    await context.workspaceState.update(STATE_CURRENT_ORIGIN, undefined);
+    await provider.reload();
+    provider.refresh();
+  });
+
+  const switchTarget = vscode.commands.registerCommand('proxyUrlSwitcher.switchTarget', async (file, pointer) => {
+    if (!file || !pointer) return;
+    const uri = vscode.Uri.parse(file);
+    const current = normalizeOrigin(getAtPath(await readProxyMap(uri), parsePointer(pointer)));
+    const picked = await vscode.window.showQuickPick(
+      getAllOrigins(context).map(o => ({
+        label: o.name,
+        description: [o.origin, o.origin === current ? vscode.l10n.t('Current') : ''].filter(Boolean).join(' · '),
+        detail: o.source === 'custom' ? vscode.l10n.t('Custom address') : formatGroupName(getProfileGroup(o)),
+        origin: o
+      })),
+      { placeHolder: vscode.l10n.t('Switch {0} to…', formatTargetLabel(pointer)), matchOnDescription: true }
+    );
+    if (!picked) return;
+    await applyOrigin(context, picked.origin.origin, { profileName: picked.origin.name, targets: [pointer], uris: [uri] });
+    await provider.reload();
+    provider.refresh();
+  });
 
-  const toggleTarget = vscode.commands.registerCommand('proxyUrlSwitcher.toggleTarget', async key => {
-    if (!provider.latest.map) await provider.reload();
-    if (!provider.latest.map) return;
-    await toggleTargetKey(context, key, provider.latest.map);
+  const selectMultiFileMode = vscode.commands.registerCommand('proxyUrlSwitcher.selectMultiFileMode', async () => {
+    const current = getMultiFileMode();
+    const modes = [
+      {
+        mode: 'pick',
+        label: vscode.l10n.t('Pick a File Each Time'),
+        description: vscode.l10n.t('Asks which file to update when several match')
+      },
+      {
+        mode: 'checked',
+        label: vscode.l10n.t('Apply to Checked Files'),
+        description: vscode.l10n.t('Check the files in "{0}"', vscode.l10n.t('Proxy Targets'))
+      },
+      { mode: 'all', label: vscode.l10n.t('Apply to All Files'), description: vscode.l10n.t('Updates every matching file at once') }
+    ].map(m => ({ ...m, label: m.mode === current ? `$(check) ${m.label}` : m.label }));
+    const picked = await vscode.window.showQuickPick(modes, { placeHolder: vscode.l10n.t('How to apply when several files match') });
+    if (!picked) return;
+    const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+    await config.update('multiFileMode', picked.mode, vscode.ConfigurationTarget.Workspace);
     provider.refresh();
   });
 
   const setHostPort = vscode.commands.registerCommand('proxyUrlSwitcher.setHostPort', async () => {
     const input = await vscode.window.showInputBox({
-      prompt: '输入 host:port 或完整 URL（例如 10.8.130.1:7002 或 http://10.8.130.1:7002）',
+      prompt: vscode.l10n.t('Enter host:port or a full URL (e.g. 10.8.130.1:7002 or http://10.8.130.1:7002)'),
       value: '',
       validateInput: validateOriginInputRequirePort
     });
     if (input === undefined) return;
     const origin = normalizeOrigin(input);
     if (!origin || !hasExplicitPort(origin)) {
-      vscode.window.showErrorMessage(!origin ? '输入格式不合法' : '端口不能为空，例如 10.8.150.33:7002');
+      vscode.window.showErrorMessage(!origin ? vscode.l10n.t('Invalid format') : vscode.l10n.t('Port is required, e.g. 10.8.150.33:7002'));
       return;
     }
-    const selectedTargets = getSelectedTargets(context, provider.latest.map);
-    await context.workspaceState.update(STATE_CURRENT_ORIGIN, origin);
-    await applyOrigin(origin, selectedTargets);
+    await applyOrigin(context, origin);
     await provider.reload();
     provider.refresh();
   });
 
   const selectProfile = vscode.commands.registerCommand('proxyUrlSwitcher.selectProfile', async () => {
+    const picked = await pickOriginToApply(context);
+    if (!picked) return;
+    let targets;
+    if (picked.allTargets) {
+      // Every target of every loaded file; pointers a file lacks are skipped for it
+      await provider.reload();
+      targets = Array.from(new Set(
+        provider.files.filter(f => f.map).flatMap(f => collectUrlTargets(f.map).map(t => t.pointer))
+      ));
+    }
+    await applyFromView(picked.origin, picked.name, { targets });
+  });
+
+  const applyProfile = vscode.commands.registerCommand('proxyUrlSwitcher.applyProfile', async () => {
+    const name = getCurrentProfileName();
     const profiles = getProfiles();
-    if (!profiles.length) {
-      vscode.window.showErrorMessage('未配置 profiles，请在 VSCode 设置中配置 proxyUrlSwitcher.profiles');
+    const profile = profiles.find(p => p?.name === name);
+    if (!profile) {
+      vscode.window.showErrorMessage(vscode.l10n.t('The current profile was not found, select a profile first'));
       return;
     }
-    const picked = await vscode.window.showQuickPick(
-      profiles.map(p => ({ label: p.name, description: p.origin, profile: p })),
-      { placeHolder: '选择一个 profile 并应用' }
-    );
-    if (!picked?.profile) return;
-    const origin = normalizeOrigin(picked.profile.origin);
+    const origin = normalizeOrigin(profile.origin);
     if (!origin) {
-      vscode.window.showErrorMessage(`profile origin 不合法：${picked.profile.origin}`);
+      vscode.window.showErrorMessage(vscode.l10n.t('Invalid profile origin: {0}', profile.origin));
       return;
     }
     if (!hasExplicitPort(origin)) {
-      vscode.window.showErrorMessage(`profile 缺少端口：${picked.profile.origin}`);
+      vscode.window.showErrorMessage(vscode.l10n.t('The profile has no port: {0}', profile.origin));
       return;
     }
-    await setCurrentProfile(picked.profile.name);
-    const selectedTargets = getSelectedTargets(context, provider.latest.map);
-    await context.workspaceState.update(STATE_CURRENT_ORIGIN, origin);
-    await applyOrigin(origin, selectedTargets);
+    await applyOrigin(context, origin, { profileName: profile.name });
     await provider.reload();
     provider.refresh();
   });
 
-  const applyProfile = vscode.commands.registerCommand('proxyUrlSwitcher.applyProfile', async () => {
-    const name = getCurrentProfileName();
-    const profiles = getProfiles();
-    const profile = profiles.find(p => p?.name === name);
-    if (!profile) {
-      vscode.window.showErrorMessage('未找到 currentProfile 对应的 profile，请先选择 profile');
+  const applyScenarioCommand = vscode.commands.registerCommand('proxyUrlSwitcher.applyScenario', async (arg) => {
+    let name = arg instanceof ScenarioNode ? arg.scenario.name : arg;
+    if (!name) {
+      const scenarios = getScenarios();
+      if (!scenarios.length) {
+        vscode.window.showInformationMessage(vscode.l10n.t('No scenarios saved yet'));
+        return;
+      }
+      const picked = await vscode.window.showQuickPick(
+        scenarios.map(s => ({ label: s.name, description: vscode.l10n.t('{0} targets', Object.keys(s.targets).length) })),
+        { placeHolder: vscode.l10n.t('Select a scenario to apply') }
+      );
+      if (!picked) return;
+      name = picked.label;
+    }
+    const scenario = getScenarios().find(s => s.name === name);
+    if (!scenario) {
+      vscode.window.showErrorMessage(vscode.l10n.t('Scenario not found: {0}', name));
       return;
     }
-    const origin = normalizeOrigin(profile.origin);
-    if (!origin) {
-      vscode.window.showErrorMessage(`profile origin 不合法：${profile.origin}`);
+    await applyScenario(context, scenario);
+    await provider.reload();
+    provider.refresh();
+  });
+
+  const saveScenario = vscode.commands.registerCommand('proxyUrlSwitcher.saveScenario', async () => {
+    const uris = await pickTargetFiles(context);
+    if (!uris.length) return;
+    const maps = [];
+    for (const uri of uris) {
+      try {
+        maps.push(await readProxyMap(uri));
+      } catch (e) {
+        vscode.window.showErrorMessage(e.message || String(e));
+        return;
+      }
+    }
+    const targets = captureScenarioTargets(context, maps);
+    if (!Object.keys(targets).length) {
+      vscode.window.showWarningMessage(vscode.l10n.t('The current config has no targets to save'));
       return;
     }
-    if (!hasExplicitPort(origin)) {
-      vscode.window.showErrorMessage(`profile 缺少端口：${profile.origin}`);
+
+    const scenarios = getScenarios();
+    const name = await vscode.window.showInputBox({
+      prompt: vscode.l10n.t('Enter a scenario name (e.g. rest on SIT-PG, the rest local)'),
+      placeHolder: 'rest@SIT-PG + local'
+    });
+    if (!name) return;
+    if (scenarios.some(s => s.name === name)) {
+      const overwrite = vscode.l10n.t('Overwrite');
+      const confirm = await vscode.window.showWarningMessage(
+        vscode.l10n.t('The scenario "{0}" already exists. Overwrite it?', name),
+        { modal: true },
+        overwrite
+      );
+      if (confirm !== overwrite) return;
+    }
+
+    await setScenarios([...scenarios.filter(s => s.name !== name), { name, targets }]);
+    provider.refresh();
+  });
+
+  const deleteScenario = vscode.commands.registerCommand('proxyUrlSwitcher.deleteScenario', async (node) => {
+    if (!(node instanceof ScenarioNode)) return;
+    await setScenarios(getScenarios().filter(s => s.name !== node.scenario.name));
+    provider.refresh();
+  });
+
+  let healthChecking = false;
+  const runHealthChecks = async () => {
+    if (healthChecking) return;
+    healthChecking = true;
+    try {
+      await checkHealth(getAllOrigins(context), () => provider.refresh());
+    } finally {
+      healthChecking = false;
+    }
+  };
+
+  let healthTimer;
+  const scheduleHealthChecks = () => {
+    clearInterval(healthTimer);
+    const { interval } = getHealthCheckConfig();
+    if (interval > 0) {
+      healthTimer = setInterval(runHealthChecks, interval * 1000);
+      runHealthChecks();
+    }
+  };
+  scheduleHealthChecks();
+  context.subscriptions.push(
+    { dispose: () => clearInterval(healthTimer) },
+    // A switch shows the status of the origins it now points at, so they are probed again right away
+    switchEmitter.event(e => {
+      const known = getAllOrigins(context);
+      checkHealth(
+        e.steps.map(step => ({ origin: step.origin, healthPath: known.find(k => k.origin === step.origin)?.healthPath })),
+        () => provider.refresh()
+      );
+    }),
+    vscode.workspace.onDidChangeConfiguration(e => {
+      if (e.affectsConfiguration(`${CONFIG_SECTION}.healthCheck`)) scheduleHealthChecks();
+    })
+  );
+
+  const checkHealthCommand = vscode.commands.registerCommand('proxyUrlSwitcher.checkHealth', async (node) => {
+    if (node instanceof OriginNode) {
+      const profile = getAllOrigins(context).find(o => o.origin === node.origin);
+      await checkHealth([{ origin: node.origin, healthPath: profile?.healthPath }], () => provider.refresh());
+      return;
+    }
+    await runHealthChecks();
+  });
+
+  const restoreSnapshotCommand = vscode.commands.registerCommand('proxyUrlSwitcher.restoreSnapshot', async (node) => {
+    let snapshot = node instanceof HistoryNode ? node.snapshot : null;
+    if (!snapshot) {
+      const history = getHistory(context);
+      if (!history.length) {
+        vscode.window.showInformationMessage(vscode.l10n.t('No switch history'));
+        return;
+      }
+      const picked = await vscode.window.showQuickPick(
+        history.map(s => ({
+          label: s.profileName || s.origin || vscode.l10n.t('Unknown address'),
+          description: formatTimestamp(s.timestamp),
+          detail: vscode.l10n.t('{0}: {1}', vscode.workspace.asRelativePath(vscode.Uri.parse(s.file)), joinList(s.changed || [])),
+          snapshot: s
+        })),
+        { placeHolder: vscode.l10n.t('Select the record to roll back (restores the content before that switch)') }
+      );
+      if (!picked?.snapshot) return;
+      snapshot = picked.snapshot;
+    }
+
+    const rollback = vscode.l10n.t('Roll Back');
+    const confirm = await vscode.window.showWarningMessage(
+      vscode.l10n.t(
+        'Roll {0} back to its state before {1}?',
+        vscode.workspace.asRelativePath(vscode.Uri.parse(snapshot.file)),
+        formatTimestamp(snapshot.timestamp)
+      ),
+      { modal: true },
+      rollback
+    );
+    if (confirm !== rollback) return;
+
+    await restoreSnapshot(context, snapshot, { keepInHistory: true });
+    await provider.reload();
+    provider.refresh();
+  });
+
+  const undoLastSwitch = vscode.commands.registerCommand('proxyUrlSwitcher.undoLastSwitch', async () => {
+    const history = getHistory(context);
+    const [latest] = history;
+    if (!latest) {
+      vscode.window.showInformationMessage(vscode.l10n.t('No switch history'));
       return;
     }
-    const selectedTargets = getSelectedTargets(context, provider.latest.map);
-    await context.workspaceState.update(STATE_CURRENT_ORIGIN, origin);
-    await applyOrigin(origin, selectedTargets);
+    // Every file the last switch wrote goes back together
+    const snapshots = latest.switchId ? history.filter(s => s.switchId === latest.switchId) : [latest];
+    let restored = 0;
+    for (const snapshot of snapshots) {
+      if (await restoreSnapshot(context, snapshot, { keepInHistory: false, notify: snapshots.length === 1 })) restored += 1;
+    }
+    if (snapshots.length > 1 && restored) {
+      vscode.window.showInformationMessage(
+        vscode.l10n.t('Rolled {0} files back to their state before {1}', restored, formatTimestamp(latest.timestamp))
+      );
+    }
     await provider.reload();
     provider.refresh();
   });
 
+  const clearHistory = vscode.commands.registerCommand('proxyUrlSwitcher.clearHistory', async () => {
+    await context.workspaceState.update(STATE_HISTORY, []);
+    provider.refresh();
+  });
+
+  // Target names from callers resolve against every loaded file, like the CLI's `--targets`
+  const resolveTargetNames = async (names) => {
+    if (!provider.loaded) await provider.reload();
+    const maps = provider.files.filter(f => f.map).map(f => f.map);
+    const missing = names.filter(name => !maps.some(map => matchTargets(map, [name]).length));
+    if (missing.length) throw new Error(vscode.l10n.t('Targets not found: {0}', joinList(missing)));
+    return Array.from(new Set(maps.flatMap(map => matchTargets(map, names))));
+  };
+
+  const findNamedOrigin = (name) => {
+    const named = getAllOrigins(context).find(o => o.name === name);
+    if (!named) throw new Error(vscode.l10n.t('Environment not found: {0}', name));
+    return named;
+  };
+
+  const applyFromApi = async (origin, name, options = {}) => {
+    const normalized = normalizeOrigin(origin);
+    if (!normalized || !hasExplicitPort(normalized)) throw new Error(vscode.l10n.t('Invalid address or missing port: {0}', origin));
+    const targets = Array.isArray(options.targets) ? await resolveTargetNames(options.targets) : undefined;
+    const result = await applyFromView(normalized, name, { targets, uris: options.files, preview: options.preview });
+    if (!result) return null;
+    return { origin: result.origin, files: result.results.map(r => ({ uri: r.uri, changed: r.changed })) };
+  };
+
+  /** Returned from `activate`; see api.d.ts for the contract other extensions compile against */
+  const api = {
+    version: 1,
+    onDidSwitch: switchEmitter.event,
+    getProfiles: () => getAllOrigins(context).map(o => ({
+      name: o.name,
+      origin: normalizeOrigin(o.origin) || o.origin,
+      group: o.source === 'custom' ? null : getProfileGroup(o),
+      source: o.source === 'custom' ? 'custom' : o.scope
+    })),
+    getActiveOrigin: async () => {
+      if (!provider.loaded) await provider.reload();
+      const { origins, mixed } = getActiveEnvironment(context, provider.files);
+      const origin = origins[0] || null;
+      return { origin, profileName: origin ? findOriginName(context, origin) : '', mixed, origins };
+    },
+    applyOrigin: (origin, options) => applyFromApi(origin, '', options),
+    applyProfile: async (name, options) => {
+      const named = findNamedOrigin(name);
+      return applyFromApi(named.origin, named.name, options);
+    }
+  };
+
+  // vscode://tony.proxy-url-switcher/apply?profile=SIT-PG&targets=rest (or origin=10.8.1.80:7002)
+  const uriHandler = vscode.window.registerUriHandler({
+    handleUri: async (uri) => {
+      if (uri.path !== '/apply') {
+        vscode.window.showErrorMessage(vscode.l10n.t('Unsupported link: {0}', uri.path));
+        return;
+      }
+      const query = new URLSearchParams(uri.query);
+      const profile = query.get('profile');
+      const origin = query.get('origin');
+      const targets = query.get('targets')?.split(',').map(t => t.trim()).filter(Boolean);
+      try {
+        if (!profile && !origin) throw new Error(vscode.l10n.t('The link has no profile or origin parameter'));
+        const label = profile ? vscode.l10n.t('{0} ({1})', profile, findNamedOrigin(profile).origin) : origin;
+        const apply = vscode.l10n.t('Apply');
+        const choice = await vscode.window.showWarningMessage(
+          targets?.length
+            ? vscode.l10n.t('A link asks to switch the targets {0} to {1}. Apply it?', joinList(targets), label)
+            : vscode.l10n.t('A link asks to switch the checked targets to {0}. Apply it?', label),
+          { modal: true },
+          apply
+        );
+        if (choice !== apply) return;
+        const options = { targets: targets?.length ? targets : undefined };
+        if (profile) await api.applyProfile(profile, options);
+        else await api.applyOrigin(origin, options);
+      } catch (e) {
+        vscode.window.showErrorMessage(e.message || String(e));
+      }
+    }
+  });
+
   context.subscriptions.push(
+    switchEmitter,
+    uriHandler,
     refreshView,
     addCustomOrigin,
     deleteCustomOrigin,
     addStandardProfile,
     deleteStandardProfile,
+    renameOrigin,
+    editOrigin,
+    renameGroup,
+    deleteGroup,
+    exportGroup,
+    promoteCustomOrigin,
+    moveProfileToGroup,
+    exportProfilesToTeam,
+    importProfilesFromTeam,
     clearCustomOrigins,
     applyOriginFromView,
+    previewOriginFromView,
     toggleTarget,
+    selectMultiFileMode,
     setHostPort,
     selectProfile,
-    applyProfile
+    applyProfile,
+    checkHealthCommand,
+    applyScenarioCommand,
+    saveScenario,
+    deleteScenario,
+    restoreBaseline,
+    switchTarget,
+    startLocalProxy,
+    stopLocalProxy,
+    showLocalProxyLog,
+    selectAllTargets,
+    selectNoTargets,
+    invertTargets,
+    selectTargetSet,
+    saveTargetSet,
+    deleteTargetSet,
+    restoreSnapshotCommand,
+    undoLastSwitch,
+    clearHistory
   );
+
+  return api;
 }
 
 function deactivate() {}
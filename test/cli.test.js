@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const core = require('../core');
+const { run } = require('../cli');
+
+const BIN = path.join(__dirname, '..', 'bin', 'proxy-url-switch.js');
+
+const PROXY_JSON = `{
+  "rest": {
+    "target": "http://10.8.130.1:7002/rest",
+    "changeOrigin": true
+  },
+  "basic": { "target": "http://10.8.130.1:7002/basic" },
+  "report": { "target": "http://10.8.130.1:7002/report" }
+}
+`;
+
+function createWorkspace(settings = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-url-switch-'));
+  fs.mkdirSync(path.join(dir, 'web', 'node_modules'), { recursive: true });
+  fs.mkdirSync(path.join(dir, '.vscode'));
+  fs.writeFileSync(path.join(dir, 'web', 'proxy-url-list.json'), PROXY_JSON);
+  fs.writeFileSync(path.join(dir, 'web', 'node_modules', 'proxy-url-list.json'), PROXY_JSON);
+  fs.writeFileSync(path.join(dir, '.vscode', 'settings.json'), JSON.stringify(settings));
+  return dir;
+}
+
+// Never read the developer's real VS Code settings; messages are checked in Chinese
+function cli(dir, ...args) {
+  const io = { cwd: dir, locale: 'zh-cn', lines: [], errors: [] };
+  io.stdout = line => io.lines.push(line);
+  io.stderr = line => io.errors.push(line);
+  io.code = run([...args, '--settings', path.join(dir, 'no-user-settings.json')], io);
+  return io;
+}
+
+test('list shows package defaults, workspace profiles and team profiles', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.match(cli(dir, 'list').lines.join('\n'), /^SIT-PG\thttp:\/\/10\.8\.1\.80:7002\tSIT$/m);
+
+  fs.writeFileSync(path.join(dir, '.vscode', 'settings.json'), JSON.stringify({
+    'proxyUrlSwitcher.profiles': [{ name: 'local', origin: '127.0.0.1:8080', group: 'dev' }]
+  }));
+  fs.writeFileSync(path.join(dir, '.vscode', 'proxy-profiles.json'), JSON.stringify({
+    profiles: [{ name: 'shared', origin: 'http://10.0.0.1:7002' }]
+  }));
+  const result = cli(dir, 'list', '--json');
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(JSON.parse(result.lines.join('\n')).map(p => [p.name, p.scope]), [
+    ['shared', 'team'],
+    ['local', 'user']
+  ]);
+});
+
+test('status reports every target and the profile it points at', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const result = cli(dir, 'status', '--json');
+  assert.strictEqual(result.code, 0);
+  const report = JSON.parse(result.lines.join('\n'));
+  assert.deepStrictEqual(report.map(f => f.file), ['web/proxy-url-list.json']);
+  assert.deepStrictEqual(report[0].targets[0], {
+    target: '/rest/target',
+    value: 'http://10.8.130.1:7002/rest',
+    profile: 'dev (v11开发环境)'
+  });
+});
+
+test('diff previews the change without writing', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const result = cli(dir, 'diff', '--profile', 'SIT-PG', '--targets', 'rest');
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(result.lines, [
+    '--- a/web/proxy-url-list.json',
+    '+++ b/web/proxy-url-list.json',
+    '@@ -3 +3 @@',
+    '-    "target": "http://10.8.130.1:7002/rest",',
+    '+    "target": "http://10.8.1.80:7002/rest",'
+  ]);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'web', 'proxy-url-list.json'), 'utf8'), PROXY_JSON);
+});
+
+test('apply writes the same text as the shared core', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const result = cli(dir, 'apply', '--profile', 'SIT-PG', '--targets', 'rest,basic');
+  assert.strictEqual(result.code, 0, result.errors.join('\n'));
+  assert.deepStrictEqual(result.lines, ['已应用 SIT-PG 到 web/proxy-url-list.json，更新 2 项']);
+
+  const expected = core.applyPlanToText(PROXY_JSON, 'web/proxy-url-list.json', [
+    { origin: 'http://10.8.1.80:7002', targets: ['/rest/target', '/basic/target'] }
+  ]).text;
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'web', 'proxy-url-list.json'), 'utf8'), expected);
+  assert.match(expected, /"report": \{ "target": "http:\/\/10\.8\.130\.1:7002\/report" \}/);
+  // Excluded folders are never touched
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'web', 'node_modules', 'proxy-url-list.json'), 'utf8'), PROXY_JSON);
+});
+
+test('apply honours the workspace fileGlob, --file and profile rewrite rules', t => {
+  const dir = createWorkspace({
+    'proxyUrlSwitcher.fileGlob': '**/.env.*',
+    'proxyUrlSwitcher.profiles': [{ name: 'gw', origin: '10.8.1.80:7002', rewrite: { basePath: '/gw' } }]
+  });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, '.env.development'), 'VITE_API=http://10.8.130.1:7002/api\n');
+  assert.strictEqual(cli(dir, 'apply', '--profile', 'gw').code, 0);
+  assert.strictEqual(fs.readFileSync(path.join(dir, '.env.development'), 'utf8'), 'VITE_API=http://10.8.1.80:7002/gw/api\n');
+
+  assert.strictEqual(cli(dir, 'apply', '--origin', '10.9.9.9:8080', '--file', 'web/proxy-url-list.json').code, 0);
+  assert.match(fs.readFileSync(path.join(dir, 'web', 'proxy-url-list.json'), 'utf8'), /"http:\/\/10\.9\.9\.9:8080\/basic"/);
+});
+
+test('errors go to stderr with a non-zero exit code', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const unknown = cli(dir, 'apply', '--profile', 'nope');
+  assert.strictEqual(unknown.code, 1);
+  assert.deepStrictEqual(unknown.errors, ['未找到环境：nope（可用 list 查看）']);
+  assert.strictEqual(cli(dir, 'apply', '--origin', '10.8.1.80').code, 1);
+  assert.strictEqual(cli(dir, 'apply').code, 1);
+  assert.strictEqual(cli(dir, 'frobnicate').code, 1);
+
+  const typo = cli(dir, 'apply', '--profile', 'SIT-PG', '--targets', 'rest,bsaic,nope');
+  assert.strictEqual(typo.code, 1);
+  assert.deepStrictEqual(typo.errors, ['未找到代理对象：bsaic，nope']);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'web', 'proxy-url-list.json'), 'utf8'), PROXY_JSON);
+  assert.strictEqual(cli(dir, 'diff', '--profile', 'SIT-PG', '--targets', 'nope').code, 1);
+
+  fs.writeFileSync(path.join(dir, 'web', 'proxy-url-list.json'), '{ "rest": ');
+  const broken = cli(dir, 'status');
+  assert.strictEqual(broken.code, 1);
+  assert.match(broken.errors[0], /web\/proxy-url-list\.json/);
+});
+
+test('the bin script runs the same CLI', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const output = execFileSync(process.execPath, [
+    BIN, 'apply', '--profile', 'SIT-PG', '--cwd', dir, '--settings', path.join(dir, 'none.json')
+  ], { encoding: 'utf8', timeout: 10000, env: { ...process.env, LC_ALL: '', LC_MESSAGES: '', LANG: 'zh_CN.UTF-8' } });
+  assert.strictEqual(output, '已应用 SIT-PG 到 web/proxy-url-list.json，更新 3 项\n');
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'web', 'proxy-url-list.json'), 'utf8'), /10\.8\.130\.1/);
+});
+
+test('messages fall back to English without a Chinese locale', t => {
+  const dir = createWorkspace();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const lines = [];
+  const errors = [];
+  const io = { cwd: dir, locale: 'en', stdout: line => lines.push(line), stderr: line => errors.push(line) };
+  const settings = ['--settings', path.join(dir, 'none.json')];
+  assert.strictEqual(run(['apply', '--profile', 'nope', ...settings], io), 1);
+  assert.deepStrictEqual(errors, ['Environment not found: nope (see list)']);
+  assert.strictEqual(run(['apply', '--profile', 'SIT-PG', ...settings], io), 0);
+  assert.deepStrictEqual(lines, ['Applied SIT-PG to web/proxy-url-list.json, 3 updated']);
+});
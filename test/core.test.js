@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const core = require('../core');
+
+const PROXY_JSON = `{
+  // local backends
+  "/rest": {
+    "target": "http://10.8.130.1:7002/rest",
+    "changeOrigin": true
+  },
+  "/basic": {
+    "target": "http://10.8.130.1:7002/basic"
+  },
+  "/static": "/assets"
+}
+`;
+
+test('normalizeOrigin adds the scheme and drops paths', () => {
+  assert.strictEqual(core.normalizeOrigin('10.8.1.80:7002/rest'), 'http://10.8.1.80:7002');
+  assert.strictEqual(core.normalizeOrigin('https://a.example.com:8443'), 'https://a.example.com:8443');
+  assert.strictEqual(core.hasExplicitPort('http://10.8.1.80'), false);
+});
+
+test('collectUrlTargets finds nested URL leaves as JSON pointers', () => {
+  const targets = core.collectUrlTargets(core.parseProxyText(PROXY_JSON, 'proxy-url-list.json'));
+  assert.deepStrictEqual(targets.map(t => t.pointer), ['/~1rest/target', '/~1basic/target']);
+  assert.strictEqual(core.formatTargetLabel('/~1rest/target'), '/rest › target');
+});
+
+test('matchTargets resolves keys, labels and pointers', () => {
+  const map = core.parseProxyText(PROXY_JSON, 'proxy-url-list.json');
+  assert.deepStrictEqual(core.matchTargets(map, ['/rest']), ['/~1rest/target']);
+  assert.deepStrictEqual(core.matchTargets(map, ['/basic › target', '/~1rest/target']), ['/~1rest/target', '/~1basic/target']);
+  assert.deepStrictEqual(core.matchTargets(map, ['nope']), []);
+  // A pointer also covers the targets below it
+  const nested = { rest: { target: 'http://10.8.130.1:7002' }, restful: 'http://10.8.130.1:7003' };
+  assert.deepStrictEqual(core.matchTargets(nested, ['/rest']), ['/rest/target']);
+});
+
+test('applyPlanToText keeps comments and formatting of JSONC files', () => {
+  const result = core.applyPlanToText(PROXY_JSON, 'proxy-url-list.json', [
+    { origin: 'http://10.8.1.80:7002', targets: ['/~1rest/target'] }
+  ]);
+  assert.deepStrictEqual(result.changed, ['/~1rest/target']);
+  assert.strictEqual(
+    result.text,
+    PROXY_JSON.replace('http://10.8.130.1:7002/rest', 'http://10.8.1.80:7002/rest')
+  );
+});
+
+test('applyPlanToText skips steps with an empty target list', () => {
+  const result = core.applyPlanToText(PROXY_JSON, 'proxy-url-list.json', [
+    { origin: 'http://10.8.1.80:7002', targets: [] }
+  ]);
+  assert.deepStrictEqual(result.changed, []);
+  assert.strictEqual(result.text, PROXY_JSON);
+});
+
+test('env and yaml files are rewritten in place', () => {
+  const env = '# api\nVITE_API=http://10.8.130.1:7002/api\nVITE_NAME=demo\n';
+  assert.strictEqual(
+    core.applyPlanToText(env, '.env.development', [{ origin: 'http://10.8.1.80:7002' }]).text,
+    '# api\nVITE_API=http://10.8.1.80:7002/api\nVITE_NAME=demo\n'
+  );
+  const yaml = 'proxy:\n  api: "http://10.8.130.1:7002/api" # backend\n';
+  assert.strictEqual(
+    core.applyPlanToText(yaml, 'proxy.yaml', [{ origin: 'http://10.8.1.80:7002' }]).text,
+    'proxy:\n  api: "http://10.8.1.80:7002/api" # backend\n'
+  );
+});
+
+test('top-level statements without semicolons do not leak into target paths', () => {
+  const vite = [
+    "import { defineConfig } from 'vite'",
+    "const BASE = 'http://10.8.130.1:7002/base'",
+    'const isDev = true',
+    '',
+    'export default defineConfig({',
+    '  server: {',
+    "    proxy: { '/api': { target: 'http://10.8.130.1:7002/api' } }",
+    '  }',
+    '})',
+    ''
+  ].join('\n');
+  const map = core.parseProxyText(vite, 'vite.config.ts');
+  assert.deepStrictEqual(core.collectUrlTargets(map).map(t => core.formatTargetLabel(t.pointer)), [
+    'BASE',
+    'server › proxy › /api › target'
+  ]);
+  const { text } = core.applyPlanToText(vite, 'vite.config.ts', [{ origin: 'http://10.8.1.80:7002' }]);
+  assert.strictEqual(text, vite.replace(/10\.8\.130\.1/g, '10.8.1.80'));
+});
+
+test('function-form configs find targets inside the function body', () => {
+  const vite = [
+    "import { defineConfig, loadEnv } from 'vite'",
+    '',
+    'export default ({ mode }) => {',
+    '  const env = loadEnv(mode, process.cwd())',
+    '  return defineConfig({',
+    '    server: {',
+    "      proxy: { '/api': { target: 'http://10.8.130.1:7002', configure(proxy) { proxy.on('error', () => {}) } } }",
+    '    }',
+    '  })',
+    '}',
+    ''
+  ].join('\n');
+  const map = core.parseProxyText(vite, 'vite.config.ts');
+  assert.deepStrictEqual(core.collectUrlTargets(map).map(t => core.formatTargetLabel(t.pointer)), [
+    'server › proxy › /api › target'
+  ]);
+  const { text } = core.applyPlanToText(vite, 'vite.config.ts', [{ origin: 'http://10.8.1.80:7002' }]);
+  assert.strictEqual(text, vite.replace('10.8.130.1', '10.8.1.80'));
+});
+
+test('rewrite rules apply the profile base path and are idempotent', () => {
+  const profiles = [
+    { name: 'plain', origin: 'http://10.8.130.1:7002' },
+    { name: 'gateway', origin: 'http://10.8.1.80:7002', rewrite: { basePath: '/gw' } }
+  ];
+  const step = name => ({
+    origin: core.normalizeOrigin(profiles.find(p => p.name === name).origin),
+    rules: core.compileRewriteRules(profiles, name)
+  });
+  const once = core.applyPlanToText(PROXY_JSON, 'proxy-url-list.json', [step('gateway')]).text;
+  assert.match(once, /"http:\/\/10\.8\.1\.80:7002\/gw\/rest"/);
+  assert.strictEqual(core.applyPlanToText(once, 'proxy-url-list.json', [step('gateway')]).text, once);
+  assert.strictEqual(core.applyPlanToText(once, 'proxy-url-list.json', [step('plain')]).text, PROXY_JSON);
+});
+
+test('a base path is only stripped from URLs pointing at its profile', () => {
+  const profiles = [
+    { name: 'plain', origin: 'http://10.8.1.80:7002' },
+    { name: 'gateway', origin: 'http://10.8.1.90:8080', rewrite: { basePath: '/rest' } }
+  ];
+  const json = '{ "rest": { "target": "http://10.8.130.1:7002/rest/v1" } }';
+  const plain = [{ origin: 'http://10.8.1.80:7002', rules: core.compileRewriteRules(profiles, 'plain') }];
+  assert.strictEqual(
+    core.applyPlanToText(json, 'proxy-url-list.json', plain).text,
+    '{ "rest": { "target": "http://10.8.1.80:7002/rest/v1" } }'
+  );
+  const fromGateway = '{ "rest": { "target": "http://10.8.1.90:8080/rest/v1" } }';
+  assert.strictEqual(
+    core.applyPlanToText(fromGateway, 'proxy-url-list.json', plain).text,
+    '{ "rest": { "target": "http://10.8.1.80:7002/v1" } }'
+  );
+});
+
+test('local proxy requests keep their path under a per-target path override', () => {
+  const rules = core.compileRewriteRules([{ name: 'gw', origin: 'http://gw:8080', rewrite: { paths: { rest: '/rest-svc' } } }], 'gw');
+  const forward = (path, targetPath) => core.rewriteUrl(new URL(path, 'http://gw:8080'), '/rest', rules, { targetPath });
+  assert.strictEqual(forward('/rest/users/1', '/rest'), 'http://gw:8080/rest-svc/users/1');
+  assert.strictEqual(forward('/rest/orders?x=1', '/rest'), 'http://gw:8080/rest-svc/orders?x=1');
+  assert.strictEqual(forward('/rest', '/rest'), 'http://gw:8080/rest-svc');
+  assert.strictEqual(forward('/other/1', '/rest'), 'http://gw:8080/other/1');
+  // Applying to the file still sets the whole path
+  assert.strictEqual(core.rewriteUrl(new URL('http://gw:8080/rest'), '/rest', rules), 'http://gw:8080/rest-svc');
+});
+
+test('mergeProfiles lets team entries win and tags their scope', () => {
+  const merged = core.mergeProfiles(
+    [{ name: 'SIT', origin: 'http://10.8.1.80:7002' }],
+    [{ name: 'SIT', origin: 'http://1.1.1.1:1' }, { name: 'mine', origin: 'http://2.2.2.2:2' }]
+  );
+  assert.deepStrictEqual(merged.map(p => [p.name, p.scope]), [['SIT', 'team'], ['mine', 'user']]);
+  assert.strictEqual(merged[0].origin, 'http://10.8.1.80:7002');
+});
+
+test('parse errors name the file', () => {
+  assert.throws(() => core.parseProxyText('{ "a": ', 'broken.json'), /broken\.json/);
+});
+
+test('hook variables are quoted for the shell that runs the command', () => {
+  const vars = { origin: 'http://10.8.1.80:7002', profile: "dev (v11) it's; rm -rf ~", changedKeys: '/rest', files: 'a b.json' };
+  const command = 'echo ${profile} ${files}';
+  assert.strictEqual(core.expandHookCommand(command, vars, '/bin/bash'), `echo 'dev (v11) it'\\''s; rm -rf ~' 'a b.json'`);
+  assert.strictEqual(core.expandHookCommand(command, vars, 'C:\\Program Files\\PowerShell\\7\\pwsh.exe'), `echo 'dev (v11) it''s; rm -rf ~' 'a b.json'`);
+  assert.strictEqual(core.expandHookCommand('echo ${profile}', { profile: 'say "hi" & exit' }, 'C:\\Windows\\System32\\cmd.exe'), 'echo "say ""hi"" & exit"');
+  if (process.platform === 'win32') return;
+  assert.strictEqual(execFileSync('/bin/sh', ['-c', core.expandHookCommand('printf %s ${profile}', vars, '/bin/sh')]).toString(), vars.profile);
+});
+
+test('target keys that start with a slash also match literal top-level keys', () => {
+  const text = '{\n  "/api": "http://10.8.130.1:7002",\n  "rest": "http://10.8.130.1:7002/rest"\n}\n';
+  const { text: next, changed } = core.applyPlanToText(text, 'proxy.json', [{ origin: 'http://10.8.1.80:7002', targets: ['/api'] }]);
+  assert.deepStrictEqual(changed, ['/~1api']);
+  assert.strictEqual(next, text.replace('10.8.130.1:7002",', '10.8.1.80:7002",'));
+  assert.deepStrictEqual(core.matchTargets(core.parseProxyText(text, 'proxy.json'), ['/api']), ['/~1api']);
+  const rules = core.compileRewriteRules([{ name: 'gw', origin: 'http://gw:8080', rewrite: { paths: { '/api': '/api-svc' } } }], 'gw');
+  assert.strictEqual(core.rewriteUrl(new URL('http://gw:8080'), '/~1api', rules), 'http://gw:8080/api-svc');
+});